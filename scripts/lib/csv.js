@@ -0,0 +1,132 @@
+/**
+ * Streaming RFC 4180 CSV reader for GTFS tables.
+ *
+ * Handles quoted fields (commas, doubled quotes and line breaks inside
+ * quotes), a UTF-8 BOM, and LF / CRLF / CR line endings. Rows are yielded
+ * one at a time as { header: value } objects, so multi-hundred-MB files
+ * such as stop_times.txt never sit in memory as a single string.
+ * formatCSVRow() writes records the same way, for the snapshot CLI.
+ */
+
+import fs from 'fs';
+
+const QUOTE = 34; // "
+const COMMA = 44; // ,
+const LF = 10;
+const CR = 13;
+
+/**
+ * Incremental parser: feed() text chunks, get back completed records
+ * (arrays of raw field strings). Call end() once the input is exhausted.
+ */
+export function createCSVParser() {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field: either "" or the closing quote
+  let lastWasCR = false;
+  let first = true;
+
+  function endField() { record.push(field); field = ''; }
+  function endRecord(out) {
+    endField();
+    // Blank lines come out as a single empty field — skip them
+    if (record.length > 1 || record[0] !== '') out.push(record);
+    record = [];
+  }
+
+  function feed(chunk) {
+    const out = [];
+    let i = 0;
+    if (first) {
+      first = false;
+      if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+    }
+    let start = i; // start of the pending run of plain characters
+
+    for (; i < chunk.length; i++) {
+      const c = chunk.charCodeAt(i);
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (c === QUOTE) { field += '"'; start = i + 1; continue; }
+          inQuotes = false; // that quote closed the field; handle c as unquoted below
+        } else if (c === QUOTE) {
+          field += chunk.slice(start, i);
+          quotePending = true;
+          continue;
+        } else continue;
+        start = i;
+      }
+
+      if (c === LF && lastWasCR) { lastWasCR = false; start = i + 1; continue; }
+      lastWasCR = false;
+
+      if (c === COMMA) {
+        field += chunk.slice(start, i); endField(); start = i + 1;
+      } else if (c === LF || c === CR) {
+        field += chunk.slice(start, i); endRecord(out); start = i + 1;
+        lastWasCR = c === CR;
+      } else if (c === QUOTE && field === '' && start === i) {
+        inQuotes = true; start = i + 1;
+      }
+    }
+    if (!quotePending) field += chunk.slice(start);
+    return out;
+  }
+
+  function end() {
+    const out = [];
+    if (field !== '' || record.length > 0) endRecord(out);
+    return out;
+  }
+
+  return { feed, end };
+}
+
+/**
+ * Async generator over the rows of a CSV file (or any readable stream of
+ * text). Header names and values are trimmed; missing trailing columns
+ * come back as ''.
+ */
+export async function* readCSV(source) {
+  const stream = typeof source === 'string'
+    ? fs.createReadStream(source, { encoding: 'utf-8', highWaterMark: 1 << 20 })
+    : source;
+  if (typeof source !== 'string') stream.setEncoding?.('utf-8');
+
+  const parser = createCSVParser();
+  let hdr = null;
+  const toRow = vals => {
+    const row = {};
+    for (let i = 0; i < hdr.length; i++) row[hdr[i]] = (vals[i] ?? '').trim();
+    return row;
+  };
+
+  for await (const chunk of stream) {
+    for (const rec of parser.feed(chunk)) {
+      if (!hdr) { hdr = rec.map(h => h.trim()); continue; }
+      yield toRow(rec);
+    }
+  }
+  for (const rec of parser.end()) {
+    if (!hdr) { hdr = rec.map(h => h.trim()); continue; }
+    yield toRow(rec);
+  }
+}
+
+/** Read a whole (small) CSV table into an array of row objects */
+export async function parseCSV(source) {
+  const rows = [];
+  for await (const row of readCSV(source)) rows.push(row);
+  return rows;
+}
+
+/** One CSV record (with line break), quoting fields that need it */
+export function formatCSVRow(values) {
+  return values.map(v => {
+    const s = v == null ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+  }).join(',') + '\r\n';
+}
@@ -0,0 +1,41 @@
+/**
+ * A GTFS feed on disk: either an unpacked directory or a .zip archive.
+ * Both expose the same tiny interface, so the preprocessor never cares
+ * which one it was given:
+ *   { source, has(file), stream(file), close() }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { openZip } from './zip.js';
+
+export function openFeed(input) {
+  const source = path.resolve(input);
+  if (!fs.existsSync(source)) throw new Error(`${source} does not exist`);
+
+  if (fs.statSync(source).isDirectory()) {
+    return {
+      source,
+      has: file => fs.existsSync(path.join(source, file)),
+      stream: file => fs.createReadStream(path.join(source, file), { highWaterMark: 1 << 20 }),
+      close() {},
+    };
+  }
+
+  const zip = openZip(source);
+  // Some publishers wrap the tables in a folder inside the archive — match by file name
+  const byFile = new Map();
+  for (const name of zip.entries.keys()) {
+    const base = path.posix.basename(name);
+    if (!byFile.has(base)) byFile.set(base, name);
+  }
+  return {
+    source,
+    has: file => byFile.has(file),
+    stream: file => {
+      if (!byFile.has(file)) throw new Error(`${source}: no ${file} in archive`);
+      return zip.stream(byFile.get(file));
+    },
+    close: zip.close,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Small planar-geometry helpers for the preprocessor. Distances are in
+ * metres, computed on a local equirectangular projection — accurate to
+ * well under a metre at city scale, and much cheaper than turf per point.
+ */
+
+const R = 6371008.8; // mean Earth radius, metres
+const RAD = Math.PI / 180;
+
+/** Great-circle distance between two [lon, lat] points, metres */
+export function haversine(a, b) {
+  const dLat = (b[1] - a[1]) * RAD;
+  const dLon = (b[0] - a[0]) * RAD;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a[1] * RAD) * Math.cos(b[1] * RAD) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/** Cumulative distance (metres) at each vertex of a [lon, lat] polyline */
+export function cumulativeDistances(coords) {
+  const out = new Array(coords.length);
+  out[0] = 0;
+  for (let i = 1; i < coords.length; i++) out[i] = out[i - 1] + haversine(coords[i - 1], coords[i]);
+  return out;
+}
+
+/**
+ * Closest point on a polyline to `pt`, searching segments `fromIdx` up to
+ * (not including) `toIdx` — by default to the end. Returns
+ * { offset, along, seg }: distance from the line (m), distance along it
+ * (m, using `cum` from cumulativeDistances) and the index of the segment
+ * it falls on.
+ */
+export function nearestOnLine(coords, cum, pt, fromIdx = 0, toIdx = coords.length - 1) {
+  const kx = Math.cos(pt[1] * RAD) * R * RAD; // metres per degree of longitude here
+  const ky = R * RAD;
+  let best = { offset: Infinity, along: 0, seg: fromIdx };
+
+  for (let i = Math.max(0, fromIdx); i < toIdx; i++) {
+    const ax = (coords[i][0] - pt[0]) * kx, ay = (coords[i][1] - pt[1]) * ky;
+    const bx = (coords[i + 1][0] - pt[0]) * kx, by = (coords[i + 1][1] - pt[1]) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const px = ax + t * dx, py = ay + t * dy;
+    const offset = Math.sqrt(px * px + py * py);
+    if (offset < best.offset) {
+      best = { offset, along: cum[i] + t * (cum[i + 1] - cum[i]), seg: i };
+    }
+  }
+  return best;
+}
+
+/**
+ * Distance along a shape for each stop of a trip, in trip order. Each stop
+ * is searched from the previous stop's segment onward, and takes the first
+ * close pass (within `snapM`) rather than the globally nearest one, so a
+ * route that loops back past the same corner keeps its stops in order.
+ * Returns [{ along, offset }] in metres.
+ */
+export function projectStops(coords, cum, pts, snapM = 30) {
+  const out = [];
+  let from = 0;
+  for (const pt of pts) {
+    let hit = null;
+    for (let i = from; i < coords.length - 1; i++) {
+      const p = nearestOnLine(coords, cum, pt, i, i + 1);
+      if (hit && p.offset > hit.offset) break; // past the local minimum of a close pass
+      if (hit || p.offset <= snapM) hit = p;
+    }
+    if (!hit) hit = nearestOnLine(coords, cum, pt, from);
+    out.push({ along: hit.along, offset: hit.offset });
+    from = hit.seg;
+  }
+  return out;
+}
+
+/**
+ * Douglas–Peucker simplification of a [lon, lat] polyline: drops every
+ * vertex closer than `tolM` metres to the chord that would replace it.
+ * Curves keep their shape, straight streets collapse to their endpoints.
+ * Iterative, so 10k-point shapes don't blow the stack.
+ */
+export function simplifyLine(coords, tolM) {
+  if (coords.length < 3 || !(tolM > 0)) return coords.slice();
+  const lat0 = coords[0][1] * RAD;
+  const kx = Math.cos(lat0) * R * RAD, ky = R * RAD;
+  const xy = coords.map(c => [c[0] * kx, c[1] * ky]);
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = xy[a], [bx, by] = xy[b];
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    let maxD = -1, idx = -1;
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = xy[i];
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+      const ex = px - (ax + t * dx), ey = py - (ay + t * dy);
+      const d = ex * ex + ey * ey;
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (idx >= 0 && maxD > tolM * tolM) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
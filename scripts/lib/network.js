@@ -0,0 +1,66 @@
+/**
+ * Node counterpart of src/utils/data.js: reads a preprocessed data
+ * directory (feeds.json, or the legacy single EMT feed) from disk into the
+ * decoded { feeds, routes, stops, calendar, schedule } network the
+ * simulation engine expects. Feeds written with a line index are read
+ * line by line, as the map does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { decodeRoutes, decodeStops, decodeRouteFile } from '../../src/utils/codec.js';
+
+const LEGACY_FEEDS = [{ id: 'emt', name: 'EMT Madrid', mode: 3 }];
+
+/** Feeds without a calendar run every service: drop the service ids (as the map does) */
+function untagServices(items) {
+  for (const it of items || []) delete it.serviceId;
+}
+
+export function loadNetwork(dataDir) {
+  const read = name => JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf-8'));
+  const readOptional = name => (fs.existsSync(path.join(dataDir, name)) ? read(name) : null);
+
+  const feeds = readOptional('feeds.json') || LEGACY_FEEDS;
+  const out = { feeds, routes: [], stops: [], calendar: {}, schedule: {} };
+  const seenStops = new Set();
+  const addStops = (stops, feed) => {
+    for (const s of stops) {
+      if (seenStops.has(s.id)) continue;
+      seenStops.add(s.id);
+      out.stops.push({ id: s.id, name: s.name, coords: s.coords, feed });
+    }
+  };
+
+  for (const feed of feeds) {
+    const calendar = readOptional(`${feed.id}-calendar.json`);
+    if (calendar) Object.assign(out.calendar, calendar);
+    const index = readOptional(`${feed.id}-index.json`);
+    let routes, schedule;
+
+    if (index) {
+      schedule = {};
+      routes = index.routes.map(entry => {
+        const line = decodeRouteFile(read(entry.file));
+        addStops(line.stops, feed.id);
+        if (line.schedule.length) schedule[entry.id] = line.schedule;
+        return { ...entry, shapes: line.shapes };
+      });
+    } else {
+      const stops = decodeStops(read(`${feed.id}-stops.json`));
+      routes = decodeRoutes(read(`${feed.id}-routes.json`), stops);
+      schedule = readOptional(`${feed.id}-schedule.json`) || {};
+      addStops(stops, feed.id);
+    }
+
+    for (const r of routes) {
+      r.feed = feed.id;
+      r.type ??= feed.mode;
+      if (!calendar) untagServices(r.frequencies);
+    }
+    if (!calendar) Object.values(schedule).forEach(untagServices);
+    out.routes.push(...routes);
+    Object.assign(out.schedule, schedule);
+  }
+  return out;
+}
@@ -0,0 +1,40 @@
+/**
+ * Encoders for the compact (version 2) output format. Coordinates use the
+ * Google encoded-polyline algorithm at a configurable precision (6 decimals
+ * by default, like OSRM's polyline6); integer series are delta-encoded.
+ * The matching decoders live in src/utils/codec.js.
+ */
+
+// Plain arithmetic instead of the usual bit twiddling: 32-bit ints overflow at precision > 7
+function encodeValue(v) {
+  let n = v < 0 ? -2 * v - 1 : 2 * v;
+  let out = '';
+  while (n >= 32) {
+    out += String.fromCharCode((32 + (n % 32)) + 63);
+    n = Math.floor(n / 32);
+  }
+  return out + String.fromCharCode(n + 63);
+}
+
+/** [[lon, lat], …] → encoded polyline string (lat/lon order, as the algorithm specifies) */
+export function encodePolyline(coords, precision = 6) {
+  const f = 10 ** precision;
+  let pLat = 0, pLon = 0, out = '';
+  for (const [lon, lat] of coords) {
+    const iLat = Math.round(lat * f), iLon = Math.round(lon * f);
+    out += encodeValue(iLat - pLat) + encodeValue(iLon - pLon);
+    pLat = iLat; pLon = iLon;
+  }
+  return out;
+}
+
+/** [a, b, c…] → [a, b − a, c − b…] (values rounded to integers) */
+export function deltaEncode(values) {
+  let prev = 0;
+  return values.map(v => {
+    const r = Math.round(v);
+    const d = r - prev;
+    prev = r;
+    return d;
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * Protocol Buffers encoder, the counterpart of src/utils/protobuf.js: it
+ * takes the same { fieldNumber: [name, type, repeated?] } schemas and a
+ * plain object, and writes the wire format. Used by the GTFS-Realtime mock
+ * server; fields that are null or undefined are left out.
+ */
+
+const VARINT = 0, FIXED64 = 1, LEN = 2, FIXED32 = 5;
+
+const WIRE = {
+  string: LEN, bytes: LEN, bool: VARINT, uint: VARINT, int: VARINT, enum: VARINT,
+  float: FIXED32, double: FIXED64,
+};
+
+function varint(out, n) {
+  // Negative int32/int64 go out as 10-byte two's complement
+  let v = n < 0 ? BigInt.asUintN(64, BigInt(Math.trunc(n))) : BigInt(Math.trunc(n));
+  do {
+    let b = Number(v & 0x7fn);
+    v >>= 7n;
+    if (v > 0n) b |= 0x80;
+    out.push(b);
+  } while (v > 0n);
+}
+
+function writeValue(out, type, value) {
+  if (typeof type === 'object') {
+    const body = encodeMessage(value, type);
+    varint(out, body.length);
+    for (const b of body) out.push(b);
+    return;
+  }
+  switch (type) {
+    case 'string':
+    case 'bytes': {
+      const buf = type === 'string' ? Buffer.from(String(value), 'utf-8') : Buffer.from(value);
+      varint(out, buf.length);
+      for (const b of buf) out.push(b);
+      return;
+    }
+    case 'bool': varint(out, value ? 1 : 0); return;
+    case 'uint':
+    case 'int':
+    case 'enum': varint(out, value); return;
+    case 'float': {
+      const buf = Buffer.alloc(4);
+      buf.writeFloatLE(value);
+      for (const b of buf) out.push(b);
+      return;
+    }
+    case 'double': {
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleLE(value);
+      for (const b of buf) out.push(b);
+      return;
+    }
+    default:
+      throw new Error(`protobuf: unknown type ${type}`);
+  }
+}
+
+/** Encode `msg` with `schema` → Uint8Array */
+export function encodeMessage(msg, schema) {
+  const out = [];
+  for (const [num, [name, type, repeated]] of Object.entries(schema)) {
+    const value = msg[name];
+    if (value == null) continue;
+    const wire = typeof type === 'object' ? LEN : WIRE[type];
+    for (const v of repeated ? value : [value]) {
+      varint(out, Number(num) * 8 + wire);
+      writeValue(out, type, v);
+    }
+  }
+  return Uint8Array.from(out);
+}
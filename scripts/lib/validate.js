@@ -0,0 +1,72 @@
+/**
+ * Feed validation pass. Produces a machine-readable report so a broken
+ * GTFS update can be caught (e.g. by CI) before it reaches the map.
+ *
+ * Report shape:
+ *   { generatedAt, source, ok, summary: { check: count },
+ *     issues: { check: [ …first MAX_ISSUES entries ] } }
+ */
+
+const MAX_ISSUES = 500;      // per check — counts in `summary` are always complete
+export const FAR_STOP_M = 100; // a stop further than this from its trip's shape is suspicious
+
+/** Checks that make the feed unusable for the map (the rest are warnings) */
+const ERRORS = ['tripsWithoutShape', 'nonMonotonicTimes'];
+
+/**
+ * @param {object} feed
+ * @param {string} feed.source       input path, echoed in the report
+ * @param {object} feed.stopsMap     stop_id → { lat, lon, locationType }
+ * @param {Set}    feed.usedStops    stop_ids referenced from stop_times.txt
+ * @param {Array}  feed.tripsRaw     trips.txt rows
+ * @param {object} feed.shapesMap    shape_id → [{ lat, lon }] in sequence order
+ * @param {object} feed.tripStops    trip_id → [{ stop_id, seq, arrSec }] in sequence order
+ * @param {Set}    feed.missingDist  trip_ids with stop_times lacking shape_dist_traveled
+ * @param {Set}    feed.inconsistentDist trip_ids whose shape_dist_traveled decreases
+ * @param {Array}  feed.farStops     [{ shapeId, stopId, meters }] from projecting stops onto shapes
+ */
+export function validateFeed(feed) {
+  const issues = {
+    orphanStops: [],
+    tripsWithoutShape: [],
+    stopsFarFromShape: [],
+    missingShapeDist: [],
+    inconsistentShapeDist: [],
+    nonMonotonicTimes: [],
+  };
+  const summary = Object.fromEntries(Object.keys(issues).map(k => [k, 0]));
+  const add = (check, entry) => {
+    summary[check]++;
+    if (issues[check].length < MAX_ISSUES) issues[check].push(entry);
+  };
+
+  // Boarding stops (location_type 0 / empty) that no trip ever serves
+  for (const [id, s] of Object.entries(feed.stopsMap)) {
+    if (!s.locationType && !feed.usedStops.has(id)) add('orphanStops', id);
+  }
+
+  for (const t of feed.tripsRaw) {
+    if (!t.shape_id || !feed.shapesMap[t.shape_id]) add('tripsWithoutShape', t.trip_id);
+  }
+
+  for (const tripId of feed.missingDist) add('missingShapeDist', tripId);
+  for (const tripId of feed.inconsistentDist) add('inconsistentShapeDist', tripId);
+  for (const far of feed.farStops) add('stopsFarFromShape', far);
+
+  for (const [tripId, sts] of Object.entries(feed.tripStops)) {
+    for (let i = 1; i < sts.length; i++) {
+      if (sts[i].arrSec < sts[i - 1].arrSec) {
+        add('nonMonotonicTimes', { tripId, stopSequence: sts[i].seq });
+        break;
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: feed.source,
+    ok: ERRORS.every(k => summary[k] === 0),
+    summary,
+    issues,
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Minimal read-only ZIP access, enough to stream GTFS tables straight out
+ * of a feed archive without unpacking it. Supports stored and deflated
+ * entries (what every GTFS publisher uses); ZIP64 archives are rejected.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+
+const EOCD_SIG = 0x06054b50;
+const CEN_SIG = 0x02014b50;
+const LOC_SIG = 0x04034b50;
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  const n = fs.readSync(fd, buf, 0, len, pos);
+  return buf.subarray(0, n);
+}
+
+/**
+ * Open a zip file and index its central directory.
+ * Returns { entries: Map<name, entry>, stream(name), close() }.
+ */
+export function openZip(fp) {
+  const fd = fs.openSync(fp, 'r');
+  const entries = new Map();
+  // The descriptor stays open for stream() on success; close it on any failure
+  try {
+    const size = fs.fstatSync(fd).size;
+
+    // End-of-central-directory record: last 22 bytes + up to 64 KB of comment
+    const tailLen = Math.min(size, 22 + 0xffff);
+    const tail = readAt(fd, size - tailLen, tailLen);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error(`${fp}: not a zip file`);
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const cdSize = tail.readUInt32LE(eocd + 12);
+    const cdOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || cdOffset === 0xffffffff) throw new Error(`${fp}: ZIP64 archives are not supported`);
+
+    const cd = readAt(fd, cdOffset, cdSize);
+    for (let p = 0, i = 0; i < count; i++) {
+      if (cd.readUInt32LE(p) !== CEN_SIG) throw new Error(`${fp}: corrupt central directory`);
+      const method = cd.readUInt16LE(p + 10);
+      const compressedSize = cd.readUInt32LE(p + 20);
+      const nameLen = cd.readUInt16LE(p + 28);
+      const extraLen = cd.readUInt16LE(p + 30);
+      const commentLen = cd.readUInt16LE(p + 32);
+      const localOffset = cd.readUInt32LE(p + 42);
+      const name = cd.toString('utf-8', p + 46, p + 46 + nameLen);
+      if (!name.endsWith('/')) entries.set(name, { name, method, compressedSize, localOffset });
+      p += 46 + nameLen + extraLen + commentLen;
+    }
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+  }
+
+  function stream(name) {
+    const e = entries.get(name);
+    if (!e) throw new Error(`${fp}: no entry ${name}`);
+    // The local header's name/extra lengths can differ from the central directory's
+    const loc = readAt(fd, e.localOffset, 30);
+    if (loc.readUInt32LE(0) !== LOC_SIG) throw new Error(`${fp}: corrupt local header for ${name}`);
+    const start = e.localOffset + 30 + loc.readUInt16LE(26) + loc.readUInt16LE(28);
+    if (e.compressedSize === 0) return Readable.from([]);
+    const raw = fs.createReadStream(fp, { start, end: start + e.compressedSize - 1, highWaterMark: 1 << 20 });
+    if (e.method === 0) return raw;
+    if (e.method === 8) {
+      const inflate = zlib.createInflateRaw();
+      pipeline(raw, inflate, err => { if (err) inflate.destroy(err); });
+      return inflate;
+    }
+    throw new Error(`${fp}: ${name} uses unsupported compression method ${e.method}`);
+  }
+
+  return { entries, stream, close: () => fs.closeSync(fd) };
+}
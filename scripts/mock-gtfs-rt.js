@@ -0,0 +1,205 @@
+/**
+ * Local GTFS-Realtime server for trying the live mode without an agency
+ * feed: it runs the simulation engine at the current wall-clock time and
+ * serves the result as protobuf VehiclePositions and TripUpdates.
+ * Run: npm run mock-rt -- [options]
+ *
+ *   --port <n>        HTTP port (default: 8787)
+ *   --data <dir>      preprocessed data directory (default: public/data)
+ *   --feed <id>       feed whose raw GTFS ids are published (default: emt)
+ *   --share <0…1>     fraction of running trips that report a position (default: 0.6)
+ *   --max-delay <s>   trip delays are spread over ±this many seconds (default: 240)
+ *   --lag <s>         age of the data, to try the stale indicator (default: 0)
+ *
+ * Then point the app at it in .env.local:
+ *   VITE_GTFS_RT_VEHICLES_URL=http://localhost:8787/vehicle-positions.pb
+ *   VITE_GTFS_RT_TRIP_UPDATES_URL=http://localhost:8787/trip-updates.pb
+ *
+ * Which trips report and how late they run is derived from each trip's id,
+ * so it stays the same from one request to the next.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadNetwork } from './lib/network.js';
+import { encodeMessage } from './lib/protobuf.js';
+import { createEngine } from '../src/utils/engine.js';
+import { todayISO, addDays, DAY_SEC, SERVICE_DAY_START } from '../src/utils/calendar.js';
+import { FEED_MESSAGE, STOPPED_AT } from '../src/utils/realtime.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const IN_TRANSIT_TO = 2; // VehiclePosition.VehicleStopStatus
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8787' },
+      data: { type: 'string', default: path.join(ROOT, 'public', 'data') },
+      feed: { type: 'string', default: 'emt' },
+      share: { type: 'string', default: '0.6' },
+      'max-delay': { type: 'string', default: '240' },
+      lag: { type: 'string', default: '0' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    const src = fs.readFileSync(fileURLToPath(import.meta.url), 'utf-8');
+    console.log(src.slice(src.indexOf('Run:'), src.indexOf(' * Which trips')).replace(/^ \* ?/gm, '').trim());
+    process.exit(0);
+  }
+  const num = (name, min, max) => {
+    const v = Number(values[name]);
+    if (!Number.isFinite(v) || v < min || v > max) throw new Error(`--${name} must be a number in [${min}, ${max}], got ${values[name]}`);
+    return v;
+  };
+  return {
+    ...values,
+    port: num('port', 1, 65535),
+    share: num('share', 0, 1),
+    maxDelay: num('max-delay', 0, 3600),
+    lag: num('lag', 0, 86400),
+  };
+}
+
+/** Deterministic 0…1 from a string (FNV-1a) */
+function hash01(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return (h >>> 0) / 2 ** 32;
+}
+
+/** Seconds → "HH:MM:SS" (hours may exceed 23) */
+function fmtClock(sec) {
+  const s = Math.floor(sec);
+  return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/** Wall clock → { t, date } on the GTFS service day */
+function serviceClock(ms) {
+  const d = new Date(ms);
+  const t = d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
+  return t < SERVICE_DAY_START ? { t: t + DAY_SEC, date: addDays(todayISO(), -1) } : { t, date: todayISO() };
+}
+
+function main() {
+  const opts = parseOptions();
+  const network = loadNetwork(opts.data);
+  const engine = createEngine(network);
+  const prefix = `${opts.feed}:`;
+  const raw = id => (id?.startsWith(prefix) ? id.slice(prefix.length) : id);
+  // Vehicle ids of timetable trips (as the engine writes them); the rest come from frequency bands
+  const timetableIds = new Set(Object.entries(network.schedule || {})
+    .flatMap(([routeId, trips]) => (trips || []).map(trip => `${routeId}/${trip.tripId}`)));
+
+  /** The trips on the road now, with their published ids and delays */
+  function snapshot() {
+    const ms = Date.now() - opts.lag * 1000;
+    const { t, date } = serviceClock(ms);
+    engine.setDate(date);
+
+    // Delays first (keyed like the app keys them), then positions with them applied
+    engine.setDelays();
+    const running = engine.getVehicles(t).filter(v => v.feed === opts.feed);
+    const delays = new Map(running.map(v => [v.id, Math.round((hash01(`${v.id}:delay`) * 2 - 1) * opts.maxDelay)]));
+    engine.setDelays(delays);
+    const vehicles = engine.getVehicles(t).filter(v => v.feed === opts.feed);
+
+    const seen = new Set();
+    return {
+      timestamp: Math.floor(ms / 1000),
+      date,
+      trips: vehicles.flatMap(v => {
+        const band = !timetableIds.has(v.id);
+        // Frequency-based trips are identified by their start time
+        const tripId = band ? `${raw(v.routeId)}_${v.shapeIdx}_${v.dep}` : raw(v.id.slice(v.routeId.length + 1));
+        if (seen.has(tripId)) return []; // the same band listed twice
+        seen.add(tripId);
+        return {
+          vehicle: v,
+          delay: v.delay,
+          reports: hash01(v.id) < opts.share,
+          trip: {
+            tripId,
+            routeId: raw(v.routeId),
+            directionId: v.direction,
+            startTime: fmtClock(v.dep),
+            startDate: date.replaceAll('-', ''),
+          },
+          bus: String(1000 + Math.floor(hash01(`${v.id}:bus`) * 9000)), // fleet number, for the label
+        };
+      }),
+    };
+  }
+
+  const header = timestamp => ({ gtfsRealtimeVersion: '2.0', incrementality: 0, timestamp });
+
+  function vehiclePositions() {
+    const snap = snapshot();
+    return encodeMessage({
+      header: header(snap.timestamp),
+      entity: snap.trips.filter(x => x.reports).map(x => ({
+        id: `vp-${x.trip.tripId}`,
+        vehicle: {
+          trip: x.trip,
+          vehicle: { id: `bus-${x.trip.tripId}`, label: x.bus },
+          position: { latitude: x.vehicle.lat, longitude: x.vehicle.lon, bearing: x.vehicle.bearing, speed: x.vehicle.moving ? 6 : 0 },
+          currentStatus: x.vehicle.moving ? IN_TRANSIT_TO : STOPPED_AT,
+          stopId: raw(x.vehicle.stopId) ?? undefined,
+          timestamp: snap.timestamp,
+        },
+      })),
+    }, FEED_MESSAGE);
+  }
+
+  function tripUpdates() {
+    const snap = snapshot();
+    return encodeMessage({
+      header: header(snap.timestamp),
+      entity: snap.trips.filter(x => x.delay).map(x => ({
+        id: `tu-${x.trip.tripId}`,
+        tripUpdate: { trip: x.trip, delay: x.delay, timestamp: snap.timestamp },
+      })),
+    }, FEED_MESSAGE);
+  }
+
+  const ENDPOINTS = { '/vehicle-positions.pb': vehiclePositions, '/trip-updates.pb': tripUpdates };
+
+  const server = http.createServer((req, res) => {
+    const make = ENDPOINTS[new URL(req.url, 'http://localhost').pathname];
+    const cors = { 'Access-Control-Allow-Origin': '*' };
+    if (!make) {
+      res.writeHead(404, { ...cors, 'Content-Type': 'text/plain' });
+      res.end(`Not found. Try ${Object.keys(ENDPOINTS).join(' or ')}\n`);
+      return;
+    }
+    try {
+      const body = make();
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/x-protobuf', 'Cache-Control': 'no-store' });
+      res.end(body);
+    } catch (err) {
+      console.error('❌', err);
+      res.writeHead(500, cors);
+      res.end();
+    }
+  });
+  server.on('error', err => {
+    console.error('❌', err.code === 'EADDRINUSE' ? `Port ${opts.port} is in use (try --port)` : err.message);
+    process.exit(1);
+  });
+  server.listen(opts.port, () => {
+    console.log(`📡 GTFS-RT mock for "${opts.feed}" on http://localhost:${opts.port}`);
+    for (const p of Object.keys(ENDPOINTS)) console.log(`   http://localhost:${opts.port}${p}`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
@@ -1,38 +1,107 @@
 /**
- * Pre-process GTFS data from EMT Madrid into optimized JSON for the visualizer.
- * Run: node scripts/preprocess-gtfs.js
+ * Pre-process GTFS feeds (EMT Madrid, Metro, Cercanías, interurbanos…) into
+ * optimized JSON for the visualizer.
+ * Run: npm run preprocess -- [options]
  *
- * Outputs:
- *   public/data/emt-routes.json  — route shapes + stops
- *   public/data/emt-stops.json   — all unique stops
- *   public/data/emt-schedule.json — per-route schedule (trip timing + frequencies)
+ *   --input <path>    GTFS feed: a directory or a .zip (default: the *EMT_MADRID*
+ *                     folder or zip at the repo root). Repeat to merge feeds.
+ *   --out <dir>       output directory (default: public/data)
+ *   --agency <name>   feed id for the matching --input, lower-cased: prefixes the
+ *                     output files and namespaces every id (default: EMT →
+ *                     emt-*.json, "emt:001"). Required per input when merging.
+ *   --simplify <m>    Douglas–Peucker tolerance in metres; 0 keeps every
+ *                     shape point (default: 3)
+ *   --precision <d>   decimals kept in coordinates (default: 6, ≈ 0.1 m)
+ *   --plain           write plain (version 1) JSON instead of the compact
+ *                     encoded format — handy for inspecting the output
+ *   --strict          exit with status 1 when validation finds errors
+ *
+ * Outputs (with the default agency prefix):
+ *   feeds.json       — manifest of every feed in --out (id, name, modes); feeds
+ *                      processed earlier are kept, so feeds can be refreshed one by one
+ *   emt-routes.json  — route shapes (encoded polylines) + stops (indexes into
+ *                      emt-stops.json, delta-encoded distances and times)
+ *   emt-stops.json   — all unique stops (coordinates as one encoded polyline)
+ *   emt-index.json   — line ids, names, colours, bounding boxes and frequency
+ *                      bands, for the map to start with before any geometry
+ *   emt/<line>.json  — one file per line (shapes, stops, timetable trips),
+ *                      loaded progressively by the map
+ *   emt-schedule.json — per-route departures of timetable-only trips
+ *                       (trips not expanded from frequencies.txt)
+ *   emt-calendar.json — service_id → weekdays, date range + exceptions
+ *   emt-validation.json — feed validation report (see lib/validate.js)
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { readCSV, parseCSV } from './lib/csv.js';
+import { openFeed } from './lib/feed.js';
+import { validateFeed, FAR_STOP_M } from './lib/validate.js';
+import { cumulativeDistances, projectStops, simplifyLine } from './lib/geo.js';
+import { encodePolyline, deltaEncode } from './lib/polyline.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
 
-function findGtfsDir() {
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', multiple: true },
+      out: { type: 'string', default: path.join(ROOT, 'public', 'data') },
+      agency: { type: 'string', multiple: true },
+      simplify: { type: 'string', default: '3' },
+      precision: { type: 'string', default: '6' },
+      plain: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    // The header comment doubles as the usage text
+    const src = fs.readFileSync(fileURLToPath(import.meta.url), 'utf-8');
+    console.log(src.slice(src.indexOf('Run:'), src.indexOf(' * Outputs')).replace(/^ \* ?/gm, '').trim());
+    process.exit(0);
+  }
+
+  const simplify = parseFloat(values.simplify);
+  const precision = parseInt(values.precision);
+  if (!(simplify >= 0)) throw new Error(`--simplify must be a tolerance in metres ≥ 0, got ${values.simplify}`);
+  if (!(precision >= 0 && precision <= 10)) throw new Error(`--precision must be 0–10, got ${values.precision}`);
+
+  const inputs = values.input ?? [findGtfsInput()];
+  const agencies = values.agency ?? (inputs.length === 1 ? ['EMT'] : []);
+  if (agencies.length !== inputs.length) {
+    throw new Error(`Got ${inputs.length} --input but ${agencies.length} --agency — give one agency per feed`);
+  }
+  const feeds = inputs.map((input, i) => ({ input, prefix: agencies[i].toLowerCase() }));
+  if (new Set(feeds.map(f => f.prefix)).size !== feeds.length) throw new Error('--agency values must be unique');
+
+  return {
+    feeds,
+    out: path.resolve(values.out),
+    simplify,
+    precision,
+    plain: values.plain,
+    strict: values.strict,
+  };
+}
+
+/** Default input: the *EMT_MADRID* folder (or zip) dropped at the repo root */
+function findGtfsInput() {
   const entries = fs.readdirSync(ROOT);
   const d = entries.find(
     e => fs.statSync(path.join(ROOT, e)).isDirectory() && e.includes('EMT_MADRID')
-  );
-  if (!d) { console.error('❌ No GTFS folder found'); process.exit(1); }
+  ) ?? entries.find(e => e.includes('EMT_MADRID') && e.endsWith('.zip'));
+  if (!d) throw new Error('No GTFS folder or zip found — pass --input <dir|zip>');
   return path.join(ROOT, d);
 }
 
-function parseCSV(fp) {
-  const lines = fs.readFileSync(fp, 'utf-8').split('\n').filter(l => l.trim());
-  const hdr = lines[0].split(',').map(h => h.trim());
-  return lines.slice(1).map(line => {
-    const vals = line.split(',');
-    const row = {};
-    hdr.forEach((h, i) => { row[h] = (vals[i] || '').trim(); });
-    return row;
-  });
+/** Whole GTFS table as rows; optional tables that are absent come back empty */
+async function readTable(feed, name, { optional = false } = {}) {
+  if (optional && !feed.has(name)) return [];
+  return parseCSV(feed.stream(name));
 }
 
 /** "7:05:30" → seconds since midnight */
@@ -41,26 +110,162 @@ function timeToSec(t) {
   return h * 3600 + m * 60 + (s || 0);
 }
 
-function main() {
-  const gtfsDir = findGtfsDir();
-  console.log(`📂 ${gtfsDir}`);
+/**
+ * Merge calendar.txt and calendar_dates.txt into
+ * service_id → { days: [mon…sun as 0/1], start, end, added: [], removed: [] }.
+ * Either file may be missing (GTFS allows calendar_dates-only feeds).
+ */
+async function buildCalendar(feed) {
+  const cal = {};
+  const get = id => (cal[id] ??= { days: [0, 0, 0, 0, 0, 0, 0], start: null, end: null, added: [], removed: [] });
+
+  const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+  for (const c of await readTable(feed, 'calendar.txt', { optional: true })) {
+    const svc = get(c.service_id);
+    svc.days = DAYS.map(d => (c[d] === '1' ? 1 : 0));
+    svc.start = c.start_date;
+    svc.end = c.end_date;
+  }
+
+  for (const d of await readTable(feed, 'calendar_dates.txt', { optional: true })) {
+    const svc = get(d.service_id);
+    // exception_type 1 = service added on that date, 2 = removed
+    if (d.exception_type === '1') svc.added.push(d.date);
+    else if (d.exception_type === '2') svc.removed.push(d.date);
+  }
+  return cal;
+}
+
+/** Compact (version 2) stops file — decoded by src/utils/codec.js */
+function encodeStops(stops, precision) {
+  return {
+    version: 2,
+    precision,
+    ids: stops.map(s => s.id),
+    names: stops.map(s => s.name),
+    line: encodePolyline(stops.map(s => s.coords), precision),
+  };
+}
+
+/**
+ * Compact (version 2) routes file: shapes become encoded polylines and
+ * their stops index into the stops file, with delta-encoded distances
+ * and arrival times. Distances are scaled to integers by `distScale`
+ * (feeds may give shape_dist_traveled in km).
+ */
+function encodeRoutes(routes, stopIdx, precision) {
+  const distScale = distScaleFor(routes);
+  return {
+    version: 2,
+    precision,
+    distScale,
+    routes: routes.map(r => ({ ...r, shapes: encodeShapes(r.shapes, stopIdx, precision, distScale) })),
+  };
+}
+
+function distScaleFor(routes) {
+  const dists = routes.flatMap(r => r.shapes.flatMap(sh => sh.stops.map(s => s.dist)));
+  return dists.every(Number.isInteger) ? 1 : 1000;
+}
+
+function encodeShapes(shapes, stopIdx, precision, distScale) {
+  return shapes.map(({ coordinates, stops, ...sh }) => ({
+    ...sh,
+    line: encodePolyline(coordinates, precision),
+    stops: deltaEncode(stops.map(s => stopIdx.get(s.id))),
+    dist: deltaEncode(stops.map(s => s.dist * distScale)),
+    arr: deltaEncode(stops.map(s => s.arr)),
+  }));
+}
+
+/**
+ * Per-line file for lazy loading: one route's shapes, its own stops and
+ * its timetable-only trips. Shapes index into the file's local stop list.
+ */
+function encodeRouteFile(route, schedule, precision) {
+  const stops = [];
+  const stopIdx = new Map();
+  for (const sh of route.shapes)
+    for (const s of sh.stops)
+      if (!stopIdx.has(s.id)) {
+        stopIdx.set(s.id, stops.length);
+        stops.push({ id: s.id, name: s.name, coords: s.coords });
+      }
+  const distScale = distScaleFor([route]);
+  return {
+    version: 2,
+    precision,
+    distScale,
+    stops: encodeStops(stops, precision),
+    shapes: encodeShapes(route.shapes, stopIdx, precision, distScale),
+    schedule,
+  };
+}
+
+/** Index entry: everything the map needs before a line's geometry arrives */
+function indexEntry(route, file) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const sh of route.shapes)
+    for (const [lon, lat] of sh.coordinates) {
+      bbox[0] = Math.min(bbox[0], lon); bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon); bbox[3] = Math.max(bbox[3], lat);
+    }
+  const { shapes, ...meta } = route;
+  return {
+    ...meta,
+    bbox,
+    headsigns: shapes.map(sh => sh.headsign),
+    stopCount: new Set(shapes.flatMap(sh => sh.stops.map(s => s.id))).size,
+    file,
+  };
+}
+
+/** GTFS route_type → basic mode (0 tram, 1 metro, 2 rail, 3 bus, …), folding in extended types */
+function baseMode(type) {
+  const t = parseInt(type);
+  if (isNaN(t)) return 3;
+  if (t < 100) return t;
+  if (t < 200) return 2;  // 1xx railway services
+  if (t >= 400 && t < 700) return 1; // 4xx urban rail, 5xx metro, 6xx underground
+  if (t >= 900 && t < 1000) return 0; // 9xx tram
+  return 3;               // 2xx coach, 7xx bus, 8xx trolleybus and the rest
+}
+
+/**
+ * Process one GTFS feed into `<prefix>-*.json` in opts.out and return its
+ * manifest entry. Every id written out is namespaced as "<prefix>:<id>" so
+ * several feeds can be loaded side by side.
+ */
+async function processFeed({ input, prefix }, opts) {
+  const feed = openFeed(input);
+  const round = v => Math.round(v * 10 ** opts.precision) / 10 ** opts.precision;
+  const ns = id => (id == null || id === '' ? id : `${prefix}:${id}`);
+  console.log(`📂 ${feed.source} → ${prefix}`);
+
+  // ── 0. agencies ────────────────────────────────────────
+  const agencyRaw = await readTable(feed, 'agency.txt', { optional: true });
+  const agencyName = Object.fromEntries(agencyRaw.map(a => [a.agency_id || '', a.agency_name]));
 
   // ── 1. routes ──────────────────────────────────────────
   console.log('🚌 routes.txt…');
-  const routesRaw = parseCSV(path.join(gtfsDir, 'routes.txt'));
+  const routesRaw = await readTable(feed, 'routes.txt');
   console.log(`   ${routesRaw.length}`);
 
   // ── 2. trips ───────────────────────────────────────────
   console.log('🗺️  trips.txt…');
-  const tripsRaw = parseCSV(path.join(gtfsDir, 'trips.txt'));
+  const tripsRaw = await readTable(feed, 'trips.txt');
   console.log(`   ${tripsRaw.length}`);
 
   // route_id → { key → tripInfo } (deduplicate by direction+shape)
   const routeTrips = {};
-  // Also build tripId → routeId lookup
+  const tripInfo = {};
+  // Also build tripId → routeId / serviceId lookups
   const tripRoute = {};
+  const tripService = {};
   for (const t of tripsRaw) {
     tripRoute[t.trip_id] = t.route_id;
+    tripService[t.trip_id] = t.service_id;
+    tripInfo[t.trip_id] = t;
     if (!routeTrips[t.route_id]) routeTrips[t.route_id] = {};
     const key = `${t.direction_id}_${t.shape_id}`;
     if (!routeTrips[t.route_id][key]) {
@@ -75,23 +280,23 @@ function main() {
 
   // ── 3. shapes ──────────────────────────────────────────
   console.log('📐 shapes.txt…');
-  const shapesRaw = parseCSV(path.join(gtfsDir, 'shapes.txt'));
-  console.log(`   ${shapesRaw.length}`);
-
   const shapesMap = {};
-  for (const pt of shapesRaw) {
+  let shapePts = 0;
+  for await (const pt of readCSV(feed.stream('shapes.txt'))) {
     if (!shapesMap[pt.shape_id]) shapesMap[pt.shape_id] = [];
     shapesMap[pt.shape_id].push({
       lat: parseFloat(pt.shape_pt_lat),
       lon: parseFloat(pt.shape_pt_lon),
       seq: parseInt(pt.shape_pt_sequence),
     });
+    shapePts++;
   }
+  console.log(`   ${shapePts}`);
   for (const id of Object.keys(shapesMap)) shapesMap[id].sort((a, b) => a.seq - b.seq);
 
   // ── 4. stops ───────────────────────────────────────────
   console.log('🚏 stops.txt…');
-  const stopsRaw = parseCSV(path.join(gtfsDir, 'stops.txt'));
+  const stopsRaw = await readTable(feed, 'stops.txt');
   console.log(`   ${stopsRaw.length}`);
 
   const stopsMap = {};
@@ -101,33 +306,38 @@ function main() {
       name: s.stop_name,
       lat: parseFloat(s.stop_lat),
       lon: parseFloat(s.stop_lon),
+      locationType: parseInt(s.location_type) || 0,
     };
   }
 
   // ── 5. stop_times ──────────────────────────────────────
   console.log('⏱️  stop_times.txt…');
-  const stRaw = parseCSV(path.join(gtfsDir, 'stop_times.txt'));
-  console.log(`   ${stRaw.length}`);
-
-  // trip_id → [{stop_id, seq, dist, arrival_sec}]
+  // trip_id → [{stop_id, seq, dist, arrival_sec}] — streamed row by row, this is the big one
   const tripStops = {};
-  for (const st of stRaw) {
+  const usedStops = new Set();
+  const missingDist = new Set();
+  let stCount = 0;
+  for await (const st of readCSV(feed.stream('stop_times.txt'))) {
     if (!tripStops[st.trip_id]) tripStops[st.trip_id] = [];
+    if (st.shape_dist_traveled === undefined || st.shape_dist_traveled === '') missingDist.add(st.trip_id);
+    usedStops.add(st.stop_id);
     tripStops[st.trip_id].push({
       stop_id: st.stop_id,
       seq: parseInt(st.stop_sequence),
       dist: parseFloat(st.shape_dist_traveled) || 0,
-      arrSec: timeToSec(st.arrival_time),
+      arrSec: timeToSec(st.arrival_time || st.departure_time),
     });
+    stCount++;
   }
+  console.log(`   ${stCount}`);
   for (const id of Object.keys(tripStops)) tripStops[id].sort((a, b) => a.seq - b.seq);
 
   // ── 6. frequencies ─────────────────────────────────────
   console.log('🔁 frequencies.txt…');
-  const freqRaw = parseCSV(path.join(gtfsDir, 'frequencies.txt'));
+  const freqRaw = await readTable(feed, 'frequencies.txt', { optional: true });
   console.log(`   ${freqRaw.length}`);
 
-  // route_id → [ { startSec, endSec, headway, tripDuration, direction } ]
+  // route_id → [ { startSec, endSec, headway, tripDur, serviceId, direction, shapeId } ]
   // We aggregate per route (merge trip-level into route-level, group by hour band)
   const routeFreqs = {};
   for (const f of freqRaw) {
@@ -141,22 +351,59 @@ function main() {
       endSec: timeToSec(f.end_time),
       headway: parseInt(f.headway_secs),
       tripDur,
+      serviceId: tripService[f.trip_id],
+      direction: parseInt(tripInfo[f.trip_id].direction_id) || 0,
+      shapeId: tripInfo[f.trip_id].shape_id,
     });
   }
-  // Deduplicate overlapping frequency bands per route (keep the one with smallest headway)
+  // Deduplicate overlapping frequency bands per route, service and shape (keep the one with smallest headway)
   for (const rid of Object.keys(routeFreqs)) {
     const bands = routeFreqs[rid];
     const merged = {};
     for (const b of bands) {
-      const key = `${b.startSec}-${b.endSec}`;
+      const key = `${b.serviceId}:${b.shapeId}:${b.startSec}-${b.endSec}`;
       if (!merged[key] || b.headway < merged[key].headway) merged[key] = b;
     }
     routeFreqs[rid] = Object.values(merged).sort((a, b) => a.startSec - b.startSec);
   }
 
-  // ── 7. Build output routes ─────────────────────────────
+  // ── 7. timetable-only trips ────────────────────────────
+  // Trips listed in frequencies.txt are templates; every other trip runs
+  // exactly once, at the times in stop_times.txt.
+  const freqTrips = new Set(freqRaw.map(f => f.trip_id));
+  // route_id → [ { tripId, dep, dur, serviceId, direction, shapeId } ]
+  const routeSchedule = {};
+  let schedCount = 0;
+  for (const [tripId, sts] of Object.entries(tripStops)) {
+    if (freqTrips.has(tripId) || sts.length < 2) continue;
+    const t = tripInfo[tripId];
+    if (!t) continue;
+    if (!routeSchedule[t.route_id]) routeSchedule[t.route_id] = [];
+    routeSchedule[t.route_id].push({
+      tripId: ns(tripId),
+      dep: sts[0].arrSec,
+      dur: sts[sts.length - 1].arrSec - sts[0].arrSec,
+      serviceId: ns(t.service_id),
+      direction: parseInt(t.direction_id) || 0,
+      shapeId: ns(t.shape_id),
+    });
+    schedCount++;
+  }
+  for (const rid of Object.keys(routeSchedule)) routeSchedule[rid].sort((a, b) => a.dep - b.dep);
+  console.log(`🕐 ${schedCount} timetable-only trips`);
+
+  // ── 8. calendar ────────────────────────────────────────
+  console.log('📅 calendar.txt / calendar_dates.txt…');
+  const calendar = await buildCalendar(feed);
+  console.log(`   ${Object.keys(calendar).length} services`);
+
+  // ── 9. Build output routes ─────────────────────────────
   console.log('🔧 Building…');
   const outputRoutes = [];
+  const farStops = [];            // stops projecting further than FAR_STOP_M from their shape
+  const inconsistentDist = new Set(); // trips whose shape_dist_traveled goes backwards
+  let projectedShapes = 0;
+  let inputPts = 0, simplifiedPts = 0;
 
   for (const route of routesRaw) {
     const trips = routeTrips[route.route_id];
@@ -168,34 +415,46 @@ function main() {
       if (!pts || pts.length < 2) continue;
 
       // Simplify shape
-      const step = pts.length > 200 ? 3 : pts.length > 100 ? 2 : 1;
-      const coords = [];
-      for (let i = 0; i < pts.length; i++) {
-        if (i === 0 || i === pts.length - 1 || i % step === 0) {
-          coords.push([
-            Math.round(pts[i].lon * 1e6) / 1e6,
-            Math.round(pts[i].lat * 1e6) / 1e6,
-          ]);
-        }
-      }
+      const coords = simplifyLine(pts.map(p => [p.lon, p.lat]), opts.simplify)
+        .map(([lon, lat]) => [round(lon), round(lat)]);
+      simplifiedPts += coords.length;
+      inputPts += pts.length;
 
-      const tStops = tripStops[ti.trip_id] || [];
-      const stopArr = [];
-      for (const ts of tStops) {
+      const tStops = (tripStops[ti.trip_id] || []).filter(ts => {
         const stop = stopsMap[ts.stop_id];
-        if (stop && !isNaN(stop.lat) && !isNaN(stop.lon)) {
-          stopArr.push({
-            id: stop.id,
-            name: stop.name,
-            coords: [Math.round(stop.lon * 1e6) / 1e6, Math.round(stop.lat * 1e6) / 1e6],
-            dist: ts.dist,
-            arr: ts.arrSec,
-          });
+        return stop && !isNaN(stop.lat) && !isNaN(stop.lon);
+      });
+
+      // Project every stop onto the full-resolution shape: this flags stops
+      // far from the line, and stands in for shape_dist_traveled when the
+      // feed leaves it out or it runs backwards.
+      const fullCoords = pts.map(p => [p.lon, p.lat]);
+      const proj = projectStops(fullCoords, cumulativeDistances(fullCoords),
+        tStops.map(ts => [stopsMap[ts.stop_id].lon, stopsMap[ts.stop_id].lat]));
+      proj.forEach((p, i) => {
+        if (p.offset > FAR_STOP_M) {
+          farStops.push({ shapeId: ti.shape_id, stopId: tStops[i].stop_id, meters: Math.round(p.offset) });
         }
-      }
+      });
+      const backwards = tStops.some((ts, i) => i > 0 && ts.dist < tStops[i - 1].dist);
+      if (backwards && !missingDist.has(ti.trip_id)) inconsistentDist.add(ti.trip_id);
+      const useProjection = missingDist.has(ti.trip_id) || backwards ||
+        (tStops.length > 1 && tStops[tStops.length - 1].dist <= tStops[0].dist);
+      if (useProjection) projectedShapes++;
+
+      const stopArr = tStops.map((ts, i) => {
+        const stop = stopsMap[ts.stop_id];
+        return {
+          id: ns(stop.id),
+          name: stop.name,
+          coords: [round(stop.lon), round(stop.lat)],
+          dist: useProjection ? Math.round(proj[i].along) : ts.dist,
+          arr: ts.arrSec,
+        };
+      });
 
       routeShapes.push({
-        shapeId: ti.shape_id,
+        shapeId: ns(ti.shape_id),
         headsign: ti.headsign,
         direction: ti.direction,
         coordinates: coords,
@@ -210,37 +469,131 @@ function main() {
     const tripDuration = s0.length > 1 ? s0[s0.length - 1].arr - s0[0].arr : 1800;
 
     outputRoutes.push({
-      id: route.route_id,
-      shortName: route.route_short_name,
-      longName: route.route_long_name,
+      id: ns(route.route_id),
+      shortName: route.route_short_name || '',
+      longName: route.route_long_name || '',
       color: route.route_color ? `#${route.route_color}` : '#0178BC',
+      type: baseMode(route.route_type),
+      agency: agencyName[route.agency_id || ''] ?? agencyRaw[0]?.agency_name ?? prefix.toUpperCase(),
       shapes: routeShapes,
       tripDuration,
-      frequencies: routeFreqs[route.route_id] || [],
+      frequencies: (routeFreqs[route.route_id] || [])
+        .map(b => ({ ...b, serviceId: ns(b.serviceId), shapeId: ns(b.shapeId) })),
     });
   }
 
-  console.log(`✅ ${outputRoutes.length} routes`);
+  console.log(`✅ ${outputRoutes.length} routes — ${simplifiedPts}/${inputPts} shape points kept (±${opts.simplify} m)`);
+  if (projectedShapes) console.log(`📏 ${projectedShapes} shapes with stop distances projected onto the line`);
 
-  // ── 8. Write files ─────────────────────────────────────
-  const outDir = path.join(ROOT, 'public', 'data');
+  // ── 10. Write files ─────────────────────────────────────
+  feed.close();
+  const outDir = opts.out;
+  const outFile = name => path.join(outDir, `${prefix}-${name}.json`);
   fs.mkdirSync(outDir, { recursive: true });
 
-  const rPath = path.join(outDir, 'emt-routes.json');
-  fs.writeFileSync(rPath, JSON.stringify(outputRoutes));
-  console.log(`📦 ${rPath} (${(fs.statSync(rPath).size / 1e6).toFixed(2)} MB)`);
-
   // Unique stops
-  const seen = new Set();
+  const stopIdx = new Map();
   const allStops = [];
   for (const r of outputRoutes)
     for (const sh of r.shapes)
       for (const s of sh.stops)
-        if (!seen.has(s.id)) { seen.add(s.id); allStops.push(s); }
+        if (!stopIdx.has(s.id)) {
+          stopIdx.set(s.id, allStops.length);
+          allStops.push({ id: s.id, name: s.name, coords: s.coords });
+        }
+
+  const rPath = outFile('routes');
+  fs.writeFileSync(rPath, JSON.stringify(opts.plain ? outputRoutes : encodeRoutes(outputRoutes, stopIdx, opts.precision)));
+  console.log(`📦 ${rPath} (${(fs.statSync(rPath).size / 1e6).toFixed(2)} MB)`);
 
-  const sPath = path.join(outDir, 'emt-stops.json');
-  fs.writeFileSync(sPath, JSON.stringify(allStops));
+  const sPath = outFile('stops');
+  fs.writeFileSync(sPath, JSON.stringify(opts.plain ? allStops : encodeStops(allStops, opts.precision)));
   console.log(`📦 ${sPath} (${(fs.statSync(sPath).size / 1e6).toFixed(2)} MB) — ${allStops.length} stops`);
+
+  const schPath = outFile('schedule');
+  fs.writeFileSync(schPath, JSON.stringify(
+    Object.fromEntries(Object.entries(routeSchedule).map(([rid, trips]) => [ns(rid), trips]))
+  ));
+  console.log(`📦 ${schPath} (${(fs.statSync(schPath).size / 1e6).toFixed(2)} MB) — ${schedCount} trips`);
+
+  // Lazy-loading index + one file per line. The directory is rewritten from
+  // scratch so lines dropped from the feed don't linger.
+  const lineDir = path.join(outDir, prefix);
+  fs.rmSync(lineDir, { recursive: true, force: true });
+  fs.mkdirSync(lineDir, { recursive: true });
+  const usedNames = new Set();
+  const index = outputRoutes.map((r, i) => {
+    const rawId = r.id.slice(prefix.length + 1);
+    let base = rawId.replace(/[^\w-]/g, '_') || `route${i}`;
+    while (usedNames.has(base)) base += '_';
+    usedNames.add(base);
+    const file = `${prefix}/${base}.json`;
+    const trips = routeSchedule[rawId] || [];
+    fs.writeFileSync(path.join(outDir, file), JSON.stringify(opts.plain
+      ? { ...r, schedule: trips }
+      : encodeRouteFile(r, trips, opts.precision)));
+    return indexEntry(r, file);
+  });
+  const iPath = outFile('index');
+  fs.writeFileSync(iPath, JSON.stringify({ version: 2, routes: index }));
+  console.log(`📦 ${iPath} (${(fs.statSync(iPath).size / 1e6).toFixed(2)} MB) + ${index.length} files in ${lineDir}`);
+
+  const cPath = outFile('calendar');
+  fs.writeFileSync(cPath, JSON.stringify(
+    Object.fromEntries(Object.entries(calendar).map(([id, svc]) => [ns(id), svc]))
+  ));
+  console.log(`📦 ${cPath} — ${Object.keys(calendar).length} services`);
+
+  // ── 11. Validation report ──────────────────────────────
+  console.log('🔎 Validating…');
+  const report = validateFeed({
+    source: feed.source,
+    stopsMap, usedStops, tripsRaw, shapesMap, tripStops, missingDist, inconsistentDist, farStops,
+  });
+  const vPath = outFile('validation');
+  fs.writeFileSync(vPath, JSON.stringify(report, null, 2));
+  const problems = Object.entries(report.summary).filter(([, n]) => n > 0);
+  console.log(`${report.ok ? '📋' : '⚠️ '} ${vPath} — ${problems.length
+    ? problems.map(([k, n]) => `${k}: ${n}`).join(', ')
+    : 'no issues'}`);
+
+  // Dominant mode decides the feed's sprite on the map
+  const modeCount = {};
+  for (const r of outputRoutes) modeCount[r.type] = (modeCount[r.type] || 0) + 1;
+  const modes = Object.keys(modeCount).map(Number).sort((a, b) => modeCount[b] - modeCount[a]);
+
+  return {
+    entry: {
+      id: prefix,
+      name: agencyRaw.length === 1 ? agencyRaw[0].agency_name : prefix.toUpperCase(),
+      agencies: agencyRaw.map(a => a.agency_name),
+      mode: modes[0] ?? 3,
+      modes,
+      routes: outputRoutes.length,
+      stops: allStops.length,
+      generatedAt: new Date().toISOString(),
+    },
+    ok: report.ok,
+  };
+}
+
+async function main() {
+  const opts = parseOptions();
+  const results = [];
+  for (const f of opts.feeds) results.push(await processFeed(f, opts));
+
+  // Merge into the existing manifest so feeds can be refreshed independently
+  const mPath = path.join(opts.out, 'feeds.json');
+  const manifest = fs.existsSync(mPath) ? JSON.parse(fs.readFileSync(mPath, 'utf-8')) : [];
+  for (const { entry } of results) {
+    const i = manifest.findIndex(m => m.id === entry.id);
+    if (i >= 0) manifest[i] = entry;
+    else manifest.push(entry);
+  }
+  fs.writeFileSync(mPath, JSON.stringify(manifest, null, 2));
+  console.log(`🗂️  ${mPath} — ${manifest.map(m => m.id).join(', ')}`);
+
+  if (opts.strict && results.some(r => !r.ok)) throw new Error('Validation failed (--strict)');
 }
 
-main();
+main().catch(err => { console.error('❌', err.message); process.exit(1); });
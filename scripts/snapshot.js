@@ -0,0 +1,109 @@
+/**
+ * Snapshot of every simulated vehicle at one moment, computed with the
+ * same engine the map uses (src/utils/engine.js) — no browser needed.
+ * Run: npm run snapshot -- [options]
+ *
+ *   --time <hh:mm[:ss]>  simulated time; past 24:00 for after-midnight
+ *                        service, as in GTFS (default: 08:00)
+ *   --date <yyyy-mm-dd>  service day, picks the calendar's services (default: today)
+ *   --format <fmt>       geojson or csv (default: from --out's extension, else geojson)
+ *   --out <file>         output file (default: stdout)
+ *   --data <dir>         preprocessed data directory (default: public/data)
+ *   --feed <id>          only this feed (e.g. emt); repeat for several
+ *
+ * Every vehicle is one GeoJSON Point feature / CSV row with its stable id,
+ * line, feed, shape, headsign, progress along the trip, heading and, while
+ * it is dwelling, the stop it is at.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadNetwork } from './lib/network.js';
+import { formatCSVRow } from './lib/csv.js';
+import { createEngine } from '../src/utils/engine.js';
+import { todayISO } from '../src/utils/calendar.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const COLUMNS = ['id', 'routeId', 'lineNumber', 'feed', 'shapeId', 'direction', 'headsign', 'progress', 'bearing', 'stopId', 'lon', 'lat'];
+
+/** "HH:MM[:SS]" → seconds since midnight (hours may exceed 23) */
+function parseTime(str) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(str);
+  if (!m) throw new Error(`--time must be hh:mm or hh:mm:ss, got ${str}`);
+  return +m[1] * 3600 + +m[2] * 60 + +(m[3] || 0);
+}
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      time: { type: 'string', default: '08:00' },
+      date: { type: 'string', default: todayISO() },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      data: { type: 'string', default: path.join(ROOT, 'public', 'data') },
+      feed: { type: 'string', multiple: true },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    const src = fs.readFileSync(fileURLToPath(import.meta.url), 'utf-8');
+    console.log(src.slice(src.indexOf('Run:'), src.indexOf(' * Every vehicle')).replace(/^ \* ?/gm, '').trim());
+    process.exit(0);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date)) throw new Error(`--date must be yyyy-mm-dd, got ${values.date}`);
+  const format = (values.format || (values.out?.toLowerCase().endsWith('.csv') ? 'csv' : 'geojson')).toLowerCase();
+  if (!['geojson', 'csv'].includes(format)) throw new Error(`--format must be geojson or csv, got ${values.format}`);
+  return { ...values, format, time: parseTime(values.time) };
+}
+
+function toGeoJSON(vehicles, meta) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    ...meta,
+    features: vehicles.map(v => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [v.lon, v.lat] },
+      properties: Object.fromEntries(COLUMNS.filter(c => c !== 'lon' && c !== 'lat').map(c => [c, v[c]])),
+    })),
+  }, null, 2) + '\n';
+}
+
+function toCSV(vehicles) {
+  return formatCSVRow(COLUMNS) + vehicles.map(v => formatCSVRow(COLUMNS.map(c => v[c]))).join('');
+}
+
+function main() {
+  const opts = parseOptions();
+  const network = loadNetwork(opts.data);
+  if (opts.feed) {
+    const unknown = opts.feed.filter(id => !network.feeds.some(f => f.id === id));
+    if (unknown.length) throw new Error(`Unknown feed ${unknown.join(', ')} (have: ${network.feeds.map(f => f.id).join(', ')})`);
+  }
+
+  const engine = createEngine(network, { date: opts.date });
+  const hidden = opts.feed ? network.feeds.map(f => f.id).filter(id => !opts.feed.includes(id)) : [];
+  const vehicles = engine.getVehicles(opts.time, { hidden })
+    .map(v => ({ ...v, progress: +v.progress.toFixed(4), bearing: +v.bearing.toFixed(1), lon: +v.lon.toFixed(6), lat: +v.lat.toFixed(6) }));
+
+  const text = opts.format === 'csv'
+    ? toCSV(vehicles)
+    : toGeoJSON(vehicles, { date: opts.date, time: opts.time });
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+    console.error(`📸 ${opts.out} — ${vehicles.length} vehicles at ${opts.date} +${opts.time}s`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
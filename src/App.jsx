@@ -1,83 +1,986 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import mapboxgl from 'mapbox-gl'
 import GtfsMap from './GtfsMap'
+import { todayISO, addDays, dayLabel, DAY_SEC, SERVICE_DAY_START } from './utils/calendar'
+import { MODE_LABELS } from './utils/sprites'
+import { loadHighScores, saveHighScore } from './utils/game'
+import { realtimeConfig, feedStatus, feedAge } from './utils/realtime'
+import { nextTimes } from './utils/board'
+import { CURVE_STEP, toCSV } from './utils/analytics'
+import { BUNCH_FRACTION, GAP_FACTOR } from './utils/bunching'
+import { parseViewState, viewStateSearch } from './utils/url'
+import { RECORD_FORMATS, webmType } from './utils/recorder'
+import { POSITION_FORMATS } from './utils/export'
 
-/* seconds → "HH:MM" */
+/* seconds → "HH:MM" on the wall clock (25:30 is 01:30, −00:30 is 23:30) */
 function fmtTime(sec) {
-  const h = Math.floor(sec / 3600) % 24
-  const m = Math.floor((sec % 3600) / 60)
+  const s = ((sec % DAY_SEC) + DAY_SEC) % DAY_SEC
+  const h = Math.floor(s / 3600)
+  const m = Math.floor((s % 3600) / 60)
   return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`
 }
 
+/* seconds until an arrival → "ahora" / "3 min" */
+function fmtCountdown(sec) {
+  const m = Math.ceil(sec / 60)
+  return m < 1 ? 'ahora' : `${m} min`
+}
+
+/* One stop list per direction: the variant with the most stops */
+function directionShapes(route) {
+  const byDir = {}
+  for (const sh of route.shapes || []) {
+    const d = sh.direction ?? 0
+    if (!byDir[d] || sh.stops.length > byDir[d].stops.length) byDir[d] = sh
+  }
+  return Object.values(byDir).filter(sh => sh.stops.length > 0)
+}
+
 /* Format a frequency band for display */
 function fmtBand(b) {
   return `${fmtTime(b.startSec)} – ${fmtTime(b.endSec)}  ·  cada ${Math.round(b.headway / 60)} min`
 }
 
-const SIM_SPEED = 60 // 1 simulated minute per real second
+const BOARD_DEPARTURES = 3 // upcoming buses per line and direction on a stop board
+
+/** Playback speeds, simulated seconds per real second (60: one minute per second) */
+const SPEEDS = [1, 10, 30, 60, 120, 300, 900, 1800]
+const DEFAULT_SPEED = 60
+const FRAME_FPS = 60 // a frame step advances one display frame's worth of the speed…
+const MIN_FRAME_SEC = 1 // …but at least one simulated second
+
+// "Jump to" presets besides the first bus of the day (which comes from the data)
+const RUSH_HOUR = 8 * 3600
+const NIGHT_LINES = 24.5 * 3600 // 00:30, búhos running
+const GAME_SIM_SPEED = 15 // slower buses, so the player can outrun them
+
+/** Arrow key → heading the player wants, degrees clockwise from up */
+const ARROW_HEADINGS = { ArrowUp: 0, ArrowRight: 90, ArrowDown: 180, ArrowLeft: 270 }
+
+// The service day the clock loops through: 04:00 to 04:00 the next
+// morning, then the date moves on. Past midnight it is still the same
+// service day (t ≥ 24 h), with the previous day's night buses finishing
+// their trips early in the morning.
+const T_MIN = SERVICE_DAY_START  // 04:00
+const T_MAX = T_MIN + DAY_SEC    // 04:00 next day
+
+/** Any second and service day → the same instant with T_MIN ≤ t < T_MAX */
+function rollClock(t, date) {
+  const days = Math.floor((t - T_MIN) / DAY_SEC)
+  return days ? { t: t - days * DAY_SEC, date: addDays(date, days) } : { t, date }
+}
+
+const REALTIME = realtimeConfig(import.meta.env) !== null
+
+/** The view the page was opened with (?t=…&r=…&c=…), see utils/url.js */
+const INITIAL_VIEW = parseViewState(window.location.search)
+const URL_WRITE_MS = 1000 // continuous changes (clock, camera) reach the URL at most this often
+
+// Exports: video frame rates, position sampling intervals (s), and the
+// largest exports offered (PNG frames are all held in memory until zipped;
+// a position sample is ~150 kB of text at rush hour)
+const EXPORT_FPS = [24, 30, 60]
+const POSITION_STEPS = [10, 30, 60, 300]
+const MAX_FRAMES = { webm: 18000, png: 1800 }
+const MAX_SAMPLES = 1440
+
+/**
+ * The wall clock as simulated time: { t, date } for the service day. Before
+ * T_MIN it is still the previous day's service, past midnight (t ≥ 24 h).
+ */
+function liveClock(ms) {
+  const d = new Date(ms)
+  const t = d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds() + d.getMilliseconds() / 1000
+  return rollClock(t, todayISO())
+}
+
+/** Realtime feed state → HUD label */
+function liveLabel(update, status, nowMs, count) {
+  if (!update) return 'CONECTANDO…'
+  if (status === 'live') return `EN VIVO · ${count}`
+  if (status === 'error') return 'SIN CONEXIÓN'
+  const age = feedAge(update, nowMs)
+  return `DATOS ANTIGUOS · hace ${age < 120 ? `${Math.round(age)} s` : `${Math.round(age / 60)} min`}`
+}
+
+/* Side panel of the followed vehicle: progress, upcoming and passed stops */
+function FollowPanel({ info, simTime, onClose }) {
+  const pct = Math.round((info.ended ? 1 : info.progress) * 100)
+  const upcoming = [], passed = []
+  info.stops.forEach((s, i) => {
+    if (!info.ended && (i === info.atStop || s.time >= simTime)) upcoming.push({ ...s, i })
+    else passed.push({ ...s, i })
+  })
+  const delayMin = Math.round(info.delay / 60)
+
+  return (
+    <div className="follow-panel">
+      <div className="follow-head">
+        <span className="sr-badge" style={{ background: info.color }}>{info.lineNumber}</span>
+        <span className="sr-name">→ {info.headsign || info.routeName}</span>
+        <button className="follow-close" onClick={onClose} title="Dejar de seguir">✕</button>
+      </div>
+
+      <div className="follow-bar"><div style={{ width: `${pct}%`, background: info.color }} /></div>
+      <div className="follow-meta">
+        {info.ended
+          ? '🏁 Fin del trayecto'
+          : `🎯 ${pct}% · salida ${fmtTime(info.dep)} · llegada ${fmtTime(info.end)}`}
+        {!info.ended && delayMin !== 0 && (
+          <span className={delayMin > 0 ? 'late' : 'early'}> · {delayMin > 0 ? '+' : ''}{delayMin} min</span>
+        )}
+      </div>
+
+      <div className="follow-list">
+        {upcoming.length > 0 && <div className="sr-sched-title">Próximas paradas</div>}
+        {upcoming.map(s => (
+          <div key={s.i} className={`follow-stop${s.i === info.atStop ? ' here' : ''}`}>
+            <span className="follow-time">{fmtTime(s.time)}</span>
+            <span className="follow-name">{s.name}</span>
+            <span className="follow-eta">{s.i === info.atStop ? 'en parada' : fmtCountdown(s.time - simTime)}</span>
+          </div>
+        ))}
+        {passed.length > 0 && (
+          <details className="follow-passed" open={info.ended}>
+            <summary>Paradas pasadas ({passed.length})</summary>
+            {passed.reverse().map(s => (
+              <div key={s.i} className="follow-stop dim">
+                <span className="follow-time">{fmtTime(s.time)}</span>
+                <span className="follow-name">{s.name}</span>
+              </div>
+            ))}
+          </details>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/* Departure board of a stop: next buses per line and direction (last night's too), first and last of the day */
+function StopBoard({ board, simTime, onClose }) {
+  const rows = board.lines
+    .map(l => ({ ...l, next: nextTimes(l.calls, simTime, BOARD_DEPARTURES) }))
+    .sort((a, b) => (a.next[0] ?? Infinity) - (b.next[0] ?? Infinity) ||
+      a.lineNumber.localeCompare(b.lineNumber, undefined, { numeric: true }))
+
+  return (
+    <div className="board-panel">
+      <div className="follow-head">
+        <span className="board-title">🟡 {board.name}</span>
+        <button className="follow-close" onClick={onClose} title="Cerrar">✕</button>
+      </div>
+      <div className="board-list">
+        {rows.map(l => (
+          <div key={`${l.routeId}:${l.direction}`} className="board-row">
+            <div className="sr-head">
+              <span className="sr-badge" style={{ background: l.color }}>{l.lineNumber}</span>
+              <span className="sr-name">→ {l.headsign || l.routeName}</span>
+              {l.next.length > 0 && <span className="board-eta">{fmtCountdown(l.next[0] - simTime)}</span>}
+            </div>
+            <div className="board-times">
+              {l.next.length > 0
+                ? l.next.map(t => fmtTime(t)).join(' · ')
+                : l.times.length === 0
+                  ? 'Sin servicio este día'
+                  : 'Sin más servicio hoy'}
+            </div>
+            {l.times.length > 0 && (
+              <div className="board-span">
+                Primero {fmtTime(l.times[0])} · Último {fmtTime(l.times[l.times.length - 1])}
+              </div>
+            )}
+          </div>
+        ))}
+        {rows.length === 0 && (
+          <div className="sr-empty">{board.complete ? 'Ninguna línea para esta parada' : 'Cargando horarios…'}</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/* Offer `data` (text or a Blob) as a file download */
+function downloadFile(name, data, type = 'text/csv') {
+  const url = URL.createObjectURL(new Blob([data], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = name
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const CHART_W = 280, CHART_H = 110
+
+/* Vehicles in service over the simulated day (one line's, when `line` is given) */
+function ServiceChart({ curve, line, simTime }) {
+  const from = Math.floor(T_MIN / CURVE_STEP), to = Math.ceil(T_MAX / CURVE_STEP)
+  const shown = (line || curve).slice(from, to + 1)
+  let max = 1
+  for (const v of shown) if (v > max) max = v
+  const x = i => (i / (to - from)) * CHART_W
+  const y = v => CHART_H - (v / max) * (CHART_H - 10)
+  const path = values => values.slice(from, to + 1).map((v, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join('')
+  const now = x(simTime / CURVE_STEP - from)
+  const hours = []
+  for (let h = Math.ceil(T_MIN / 3600 / 3) * 3; h * 3600 <= T_MAX; h += 3) hours.push(h)
+
+  return (
+    <svg className="an-chart" viewBox={`0 -2 ${CHART_W} ${CHART_H + 14}`}>
+      {hours.map(h => (
+        <g key={h}>
+          <line x1={x(h * 3600 / CURVE_STEP - from)} x2={x(h * 3600 / CURVE_STEP - from)} y1={0} y2={CHART_H} className="an-grid" />
+          <text x={x(h * 3600 / CURVE_STEP - from)} y={CHART_H + 10} className="an-axis">{String(h % 24).padStart(2, '0')}h</text>
+        </g>
+      ))}
+      <path d={path(line || curve)} className="an-curve" />
+      <line x1={now} x2={now} y1={0} y2={CHART_H} className="an-now" />
+      <text x={2} y={8} className="an-axis">{max}</text>
+    </svg>
+  )
+}
+
+/* Current bunching and gap incidents, one row per line and shape variant */
+function IncidentList({ bunching, incidents, onBunching, onPick }) {
+  const groups = new Map()
+  for (const inc of incidents || []) {
+    const key = `${inc.ri}|${inc.shapeIdx}`
+    if (!groups.has(key)) groups.set(key, { ...inc, bunch: [], gap: [] })
+    groups.get(key)[inc.type].push(inc)
+  }
+  const rows = [...groups.values()].sort((a, b) => b.bunch.length + b.gap.length - a.bunch.length - a.gap.length)
+  const fmtGap = sec => (sec < 120 ? `${sec} s` : `${Math.round(sec / 60)} min`)
+
+  return (
+    <>
+      <div className="plan-row">
+        <button className={`plan-btn${bunching.on ? ' on' : ''}`} onClick={() => onBunching({ on: !bunching.on })}>
+          👻 {bunching.on ? 'Detectando' : 'Detectar'}
+        </button>
+      </div>
+      <label className="an-slider">
+        Agrupados: a menos de {Math.round(bunching.fraction * 100)}% del intervalo
+        <input
+          type="range" min={0.05} max={0.75} step={0.05} value={bunching.fraction}
+          onChange={e => onBunching({ fraction: Number(e.target.value) })}
+        />
+      </label>
+      <label className="an-slider">
+        Hueco: más de {bunching.gap}× el intervalo
+        <input
+          type="range" min={1.25} max={4} step={0.25} value={bunching.gap}
+          onChange={e => onBunching({ gap: Number(e.target.value) })}
+        />
+      </label>
+      {bunching.on && (
+        <div className="board-list">
+          {rows.map(g => (
+            <div key={`${g.ri}|${g.shapeIdx}`} className="sr-item" onClick={() => onPick(g.ri)}>
+              <div className="sr-head">
+                <span className="sr-badge" style={{ background: g.color }}>{g.lineNumber}</span>
+                <span className="sr-name">→ {g.headsign}</span>
+                <span className="an-value">
+                  {g.bunch.length > 0 && <span className="an-bunch">👻 {g.bunch.length}</span>}
+                  {g.gap.length > 0 && <span className="an-gap"> ⟷ {g.gap.length}</span>}
+                </span>
+              </div>
+              {[...g.bunch, ...g.gap].map(inc => (
+                <div key={`${inc.a}|${inc.b}`} className="sr-band">
+                  {inc.type === 'bunch' ? 'Agrupados' : 'Hueco'}: {fmtGap(inc.spacing)} (intervalo {fmtGap(inc.headway)})
+                </div>
+              ))}
+            </div>
+          ))}
+          {incidents && rows.length === 0 && <div className="sr-empty">Sin incidencias</div>}
+          {!incidents && <div className="sr-empty">Analizando…</div>}
+        </div>
+      )}
+    </>
+  )
+}
+
+/* Analytics: service curve, fleet per line, lines by frequency, incidents, heatmap toggle */
+function AnalyticsPanel({ data, selRoute, simTime, heat, bunching, incidents, onHeat, onBunching, onPick, onClose }) {
+  const [view, setView] = useState('curve')
+  const sel = selRoute && data?.lines.find(l => l.routeId === selRoute.id)
+  const lines = data ? [...data.lines] : []
+  if (view === 'fleet') lines.sort((a, b) => b.fleet - a.fleet || b.trips - a.trips)
+  else lines.sort((a, b) => b.perHour - a.perHour || b.trips - a.trips)
+  const top = lines[0]?.[view === 'fleet' ? 'fleet' : 'perHour'] || 1
+
+  const exportCSV = () => {
+    if (!data) return
+    if (view === 'curve') {
+      // GTFS-style clock (25:30 is 01:30 of the next morning) so rows stay in order
+      const clock = sec => [Math.floor(sec / 3600), Math.floor(sec / 60) % 60].map(n => String(n).padStart(2, '0')).join(':')
+      const rows = data.curve.map((v, i) => [clock(i * CURVE_STEP), v, ...(sel ? [sel.curve[i]] : [])])
+      const header = ['hora', 'vehiculos', ...(sel ? [`linea_${sel.lineNumber}`] : [])]
+      downloadFile(`servicio-${data.day}.csv`, toCSV(header, rows))
+    } else {
+      const rows = lines.map(l => [l.lineNumber, l.routeName, l.trips, l.perHour, (l.headway / 60).toFixed(1), l.fleet])
+      const header = ['linea', 'nombre', 'viajes', 'salidas_hora_punta', 'intervalo_min', 'flota']
+      downloadFile(`lineas-${view === 'fleet' ? 'flota' : 'frecuencia'}-${data.day}.csv`, toCSV(header, rows))
+    }
+  }
+
+  return (
+    <div className="plan-panel">
+      <div className="follow-head">
+        <span className="board-title">📊 Servicio del día</span>
+        <button className="follow-close" onClick={onClose} title="Cerrar">✕</button>
+      </div>
+      <div className="plan-row">
+        {[['curve', 'En servicio'], ['fleet', 'Flota'], ['rank', 'Frecuencia'], ['incidents', 'Incidencias']].map(([id, label]) => (
+          <button key={id} className={`plan-btn${view === id ? ' on' : ''}`} onClick={() => setView(id)}>{label}</button>
+        ))}
+      </div>
+      <div className="plan-row">
+        <button className={`plan-btn${heat ? ' on' : ''}`} onClick={onHeat} title="Salidas por parada en la hora simulada">
+          🔥 Mapa de calor
+        </button>
+        <button className="plan-btn" onClick={exportCSV} disabled={!data || view === 'incidents'}>⬇ CSV</button>
+      </div>
+      {sel && (
+        <div className="an-sel">
+          <span className="sr-badge" style={{ background: sel.color }}>{sel.lineNumber}</span>
+          {sel.trips} viajes · {sel.perHour}/h en punta · flota {sel.fleet}
+        </div>
+      )}
+
+      {!data && view !== 'incidents' && <div className="sr-empty">Calculando…</div>}
+      {data && view === 'curve' && (
+        <>
+          <ServiceChart curve={data.curve} line={sel?.curve} simTime={simTime} />
+          <div className="plan-hint">
+            {sel ? `Línea ${sel.lineNumber}: ` : ''}
+            {(sel || data).curve[Math.floor(simTime / CURVE_STEP)] ?? 0} vehículos a las {fmtTime(simTime)}
+          </div>
+        </>
+      )}
+      {view === 'incidents' && (
+        <IncidentList bunching={bunching} incidents={incidents} onBunching={onBunching} onPick={onPick} />
+      )}
+      {data && (view === 'fleet' || view === 'rank') && (
+        <div className="board-list">
+          {lines.map((l, i) => (
+            <div
+              key={l.routeId}
+              className={`sr-item an-row${sel?.routeId === l.routeId ? ' sel' : ''}`}
+              onClick={() => onPick(l.routeIdx)}
+            >
+              <span className="an-rank">{i + 1}</span>
+              <span className="sr-badge" style={{ background: l.color }}>{l.lineNumber}</span>
+              <span className="an-bar">
+                <span style={{ width: `${(100 * (view === 'fleet' ? l.fleet : l.perHour)) / top}%`, background: l.color }} />
+              </span>
+              <span className="an-value">
+                {view === 'fleet' ? `${l.fleet} buses` : `cada ${Math.round(l.headway / 60)} min`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      {data && !data.complete && <div className="plan-hint">Cargando líneas: cifras parciales</div>}
+    </div>
+  )
+}
+
+/* Accent- and case-insensitive form for searching stop names */
+const fold = str => str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+/* Every stop of the loaded lines, once: [{ id, name, key }] sorted by name */
+function stopList(routes) {
+  const byId = new Map()
+  for (const r of routes) {
+    for (const sh of r.shapes || []) {
+      for (const st of sh.stops || []) {
+        if (!byId.has(st.id)) byId.set(st.id, { id: st.id, name: st.name, key: fold(st.name || '') })
+      }
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.key.localeCompare(b.key))
+}
+
+/* Origin or destination of the planner: search by name, or pick on the map */
+function StopField({ label, value, stops, picking, onChange, onPick }) {
+  const [query, setQuery] = useState('')
+  const q = fold(query.trim())
+  const matches = q ? stops.filter(s => s.key.includes(q)).slice(0, 8) : []
+  return (
+    <div className="plan-field">
+      <div className="plan-row">
+        <span className="plan-label">{label}</span>
+        <input
+          type="text"
+          className="plan-input"
+          placeholder={value ? value.name : 'Buscar parada…'}
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+        <button
+          className={`plan-pick${picking ? ' on' : ''}`}
+          onClick={onPick}
+          title="Elegir la parada en el mapa"
+        >
+          📍
+        </button>
+      </div>
+      {matches.map(s => (
+        <div key={s.id} className="plan-match" onClick={() => { onChange(s); setQuery('') }}>{s.name}</div>
+      ))}
+    </div>
+  )
+}
+
+/* Journey planner: origin, destination, and the itineraries from the current time */
+function JourneyPanel({ routes, from, to, picking, result, itinerary, onFrom, onTo, onPick, onSwap, onSearch, onSelect, onClose }) {
+  // Rebuilt only when a new batch of lines arrives (routes is a new array then)
+  const stops = useMemo(() => stopList(routes), [routes])
+
+  return (
+    <div className="plan-panel">
+      <div className="follow-head">
+        <span className="board-title">🧭 Planificar viaje</span>
+        <button className="follow-close" onClick={onClose} title="Cerrar">✕</button>
+      </div>
+      <StopField label="De" value={from} stops={stops} picking={picking === 'from'} onChange={onFrom} onPick={() => onPick('from')} />
+      <StopField label="A" value={to} stops={stops} picking={picking === 'to'} onChange={onTo} onPick={() => onPick('to')} />
+      {picking && <div className="plan-hint">Haz click en una parada del mapa</div>}
+      <div className="plan-row">
+        <button className="plan-btn" onClick={onSwap} title="Intercambiar origen y destino">⇅</button>
+        <button className="plan-btn go" onClick={onSearch} disabled={!from || !to || from.id === to.id}>
+          Buscar
+        </button>
+      </div>
+
+      {result && (
+        <div className="board-list">
+          {result.itineraries.map(it => (
+            <div
+              key={it.key}
+              className={`sr-item${itinerary?.key === it.key ? ' sel' : ''}`}
+              onClick={() => onSelect(it)}
+            >
+              <div className="sr-head">
+                <span className="plan-times">{fmtTime(it.dep)} → {fmtTime(it.arr)}</span>
+                <span className="plan-meta">
+                  {Math.round((it.arr - it.dep) / 60)} min · {it.transfers === 0 ? 'directo' : `${it.transfers} transb.`}
+                </span>
+              </div>
+              <div className="plan-legs">
+                {it.legs.map((l, i) => (l.kind === 'walk'
+                  ? <span key={i} className="plan-walk">🚶 {Math.max(1, Math.round((l.arr - l.dep) / 60))} min</span>
+                  : <span key={i} className="sr-badge" style={{ background: l.color }}>{l.lineNumber}</span>))}
+              </div>
+              {itinerary?.key === it.key && it.legs.map((l, i) => (
+                <div key={i} className="sr-band">
+                  {fmtTime(l.dep)} {l.kind === 'walk'
+                    ? `🚶 ${l.fromName} → ${l.toName} (${Math.round(l.metres)} m)`
+                    : `${l.lineNumber} → ${l.headsign || l.toName}: ${l.fromName} → ${l.toName} (${l.stops} paradas)`}
+                </div>
+              ))}
+            </div>
+          ))}
+          {result.itineraries.length === 0 && (
+            <div className="sr-empty">{result.complete ? 'Sin viajes desde esta hora' : 'Cargando líneas…'}</div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/* "HH:MM" from a time input → second of the service day (before T_MIN: after midnight) */
+function serviceSecond(value) {
+  const [h, m] = value.split(':').map(Number)
+  const t = h * 3600 + m * 60
+  return t < T_MIN ? t + DAY_SEC : t
+}
+
+/* Export: a time window as a video (WebM or PNG frames) or as vehicle positions every few seconds */
+function ExportPanel({ simTime, job, progress, onStart, onCancel, onClose }) {
+  const [from, setFrom] = useState(() => fmtTime(simTime))
+  const [to, setTo] = useState(() => fmtTime(Math.min(simTime + 1800, T_MAX - 60)))
+  const [speed, setSpeed] = useState(DEFAULT_SPEED)
+  const [fps, setFps] = useState(30)
+  const [format, setFormat] = useState(() => (webmType() ? 'webm' : 'png'))
+  const [step, setStep] = useState(60)
+  const [posFormat, setPosFormat] = useState('csv')
+
+  const t0 = from && serviceSecond(from), t1 = to && serviceSecond(to)
+  const valid = from && to && t1 > t0
+  const frames = valid ? Math.floor((t1 - t0) / (speed / fps)) + 1 : 0
+  const samples = valid ? Math.floor((t1 - t0) / step) + 1 : 0
+  const seconds = Math.round(frames / fps)
+  const pct = progress?.total ? (100 * progress.done) / progress.total : 0
+
+  return (
+    <div className="plan-panel">
+      <div className="follow-head">
+        <span className="board-title">🎬 Exportar</span>
+        <button className="follow-close" onClick={onClose} title="Cerrar">✕</button>
+      </div>
+      <div className="plan-row">
+        <span className="plan-label">De</span>
+        <input type="time" className="date-input" value={from} onChange={e => setFrom(e.target.value)} disabled={!!job} />
+        <span className="plan-label">a</span>
+        <input type="time" className="date-input" value={to} onChange={e => setTo(e.target.value)} disabled={!!job} />
+      </div>
+      {!valid && <div className="plan-hint">El final debe ser posterior al inicio (el día de servicio acaba a las {fmtTime(T_MAX)})</div>}
+
+      <div className="export-section">Vídeo, con el reloj incrustado</div>
+      <div className="plan-row">
+        <select className="date-input" value={speed} onChange={e => setSpeed(Number(e.target.value))} disabled={!!job}>
+          {SPEEDS.map(sp => <option key={sp} value={sp}>{sp}×</option>)}
+        </select>
+        <select className="date-input" value={fps} onChange={e => setFps(Number(e.target.value))} disabled={!!job}>
+          {EXPORT_FPS.map(f => <option key={f} value={f}>{f} fps</option>)}
+        </select>
+        <select className="date-input" value={format} onChange={e => setFormat(e.target.value)} disabled={!!job}>
+          {Object.entries(RECORD_FORMATS).map(([id, f]) => (
+            <option key={id} value={id} disabled={id === 'webm' && !webmType()}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="plan-hint">
+        {frames} fotogramas · {Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')} de vídeo
+        {frames > MAX_FRAMES[format] && ` (máximo ${MAX_FRAMES[format]})`}
+      </div>
+      <button
+        className="plan-btn go"
+        onClick={() => onStart({ kind: 'video', from: t0, to: t1, speed, fps, format })}
+        disabled={!!job || !valid || frames > MAX_FRAMES[format]}
+      >
+        🎬 Grabar
+      </button>
+
+      <div className="export-section">Posiciones de todos los vehículos</div>
+      <div className="plan-row">
+        <select className="date-input" value={step} onChange={e => setStep(Number(e.target.value))} disabled={!!job}>
+          {POSITION_STEPS.map(st => <option key={st} value={st}>cada {st < 60 ? `${st} s` : `${st / 60} min`}</option>)}
+        </select>
+        <select className="date-input" value={posFormat} onChange={e => setPosFormat(e.target.value)} disabled={!!job}>
+          <option value="csv">CSV</option>
+          <option value="geojsonl">GeoJSON lines</option>
+        </select>
+        <span className="plan-hint">{samples} muestras{samples > MAX_SAMPLES && ` (máximo ${MAX_SAMPLES})`}</span>
+      </div>
+      <button
+        className="plan-btn go"
+        onClick={() => onStart({ kind: 'positions', from: t0, to: t1, step, format: posFormat })}
+        disabled={!!job || !valid || samples > MAX_SAMPLES}
+      >
+        ⬇ Posiciones
+      </button>
 
-const T_MIN = 5 * 3600   // 05:00
-const T_MAX = 26 * 3600  // 02:00 next day
+      {job && (
+        <>
+          <div className="plan-row">
+            <span className="an-bar"><span style={{ width: `${pct}%`, background: '#FFD700' }} /></span>
+            <button className="plan-btn" onClick={onCancel}>Cancelar</button>
+          </div>
+          <div className="plan-hint">
+            {job.kind === 'video' ? 'Grabando' : 'Calculando'} {progress?.done ?? 0}/{progress?.total ?? '…'}
+            {job.kind === 'video' && ' · no cambies de pestaña'}
+          </div>
+        </>
+      )}
+      {progress?.error && <div className="plan-hint an-bunch">Error: {progress.error}</div>}
+    </div>
+  )
+}
 
 export default function App() {
-  const [simTime, setSimTime] = useState(8 * 3600) // 08:00
-  const [playing, setPlaying] = useState(true)
+  // Simulated second and service day move together: the date rolls over with the clock
+  const [clock, setClock] = useState(() => rollClock(INITIAL_VIEW.t ?? 8 * 3600, INITIAL_VIEW.date ?? todayISO())) // 08:00
+  const { t: simTime, date: simDate } = clock
+  const afterMidnight = simTime >= DAY_SEC // the service day's small hours, on the next calendar day
+  const [playing, setPlaying] = useState(INITIAL_VIEW.playing ?? true)
+  const [speed, setSpeed] = useState(DEFAULT_SPEED)
+  const [reverse, setReverse] = useState(false)
+  const [firstDep, setFirstDep] = useState(null) // first departure of the simulated day
   const [stats, setStats] = useState({ routes: 0, buses: 0 })
   const [loading, setLoading] = useState(true)
   const [loadMsg, setLoadMsg] = useState('Cargando…')
   const [routes, setRoutes] = useState([])
-  const [query, setQuery] = useState('')
+  const [query, setQuery] = useState(INITIAL_VIEW.query ?? '')
   const [selRoute, setSelRoute] = useState(null)
-  const [panelOpen, setPanelOpen] = useState(false)
+  const [panelOpen, setPanelOpen] = useState(!!INITIAL_VIEW.query)
+  const [feeds, setFeeds] = useState([])
+  const [hiddenFeeds, setHiddenFeeds] = useState([])
+  const [game, setGame] = useState({ active: false, run: 0, heading: null })
+  const [gameInfo, setGameInfo] = useState(null)
+  const [highScores, setHighScores] = useState(loadHighScores)
+  const [lastRank, setLastRank] = useState(-1)
+  const [live, setLive] = useState(false) // clock follows the wall clock and the GTFS-RT feed
+  const [rtUpdate, setRtUpdate] = useState(null)
+  const [nowMs, setNowMs] = useState(0)
+  const [follow, setFollow] = useState(null) // key of the vehicle the camera follows
+  const [followInfo, setFollowInfo] = useState(null)
+  const [boardStop, setBoardStop] = useState(null) // stop id whose departure board is open
+  const [board, setBoard] = useState(null)
+  const [plannerOpen, setPlannerOpen] = useState(false)
+  const [planFrom, setPlanFrom] = useState(null) // { id, name }
+  const [planTo, setPlanTo] = useState(null)
+  const [picking, setPicking] = useState(null) // 'from' | 'to' while a map click picks the stop
+  const [plan, setPlan] = useState(null) // { run, from, to, t, day } handed to GtfsMap
+  const [planResult, setPlanResult] = useState(null)
+  const [itinerary, setItinerary] = useState(null)
+  const [isoStop, setIsoStop] = useState(null) // { id, name } whose reachability is drawn
+  const [isochrone, setIsochrone] = useState(null)
+  const [analyticsOpen, setAnalyticsOpen] = useState(false)
+  const [heat, setHeat] = useState(false) // departures heatmap (while the analytics panel is open)
+  const [analytics, setAnalytics] = useState(null)
+  const [bunching, setBunching] = useState({ on: false, fraction: BUNCH_FRACTION, gap: GAP_FACTOR })
+  const [incidents, setIncidents] = useState(null)
+  const [exportOpen, setExportOpen] = useState(false)
+  const [exportJob, setExportJob] = useState(null) // { run, kind, from, to, date, … } handed to GtfsMap
+  const [exportProgress, setExportProgress] = useState(null)
+  const exportRuns = useRef(0)
 
   const lastT = useRef(null)
   const raf = useRef(null)
   const mapRef = useRef(null) // to call fitBounds
+  const gameStatus = useRef(null) // last status GtfsMap reported
 
   // ── Advance simulation clock ───────────────────────────
+  // Forward or backwards; past either end of the service day the clock
+  // carries on into the next (or previous) one
+  const rate = game.active ? GAME_SIM_SPEED : speed * (reverse ? -1 : 1)
   useEffect(() => {
     if (!playing) { lastT.current = null; return }
     function step(ts) {
       if (lastT.current !== null) {
         const dt = (ts - lastT.current) / 1000
-        setSimTime(prev => {
-          let n = prev + dt * SIM_SPEED
-          if (n > T_MAX) n = T_MIN
-          return n
-        })
+        setClock(c => rollClock(c.t + dt * rate, c.date))
       }
       lastT.current = ts
       raf.current = requestAnimationFrame(step)
     }
     raf.current = requestAnimationFrame(step)
     return () => { if (raf.current) cancelAnimationFrame(raf.current) }
-  }, [playing])
+  }, [playing, rate])
+
+  // ── Live mode: real time, real date ────────────────────
+  useEffect(() => {
+    if (!live) return
+    let id = null
+    const step = () => {
+      const ms = Date.now()
+      setClock(liveClock(ms))
+      setNowMs(ms)
+      id = requestAnimationFrame(step)
+    }
+    id = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(id)
+  }, [live])
+
+  // Touching the clock or the date leaves live mode
+  const leaveLive = useCallback(() => {
+    setLive(false)
+    setRtUpdate(null)
+  }, [])
+  const toggleLive = useCallback(() => {
+    if (live) leaveLive()
+    else setLive(true)
+    setPlaying(false)
+  }, [live, leaveLive])
+  const rtStatus = live ? feedStatus(rtUpdate, nowMs) : null
+
+  // ── Playback ───────────────────────────────────────────
+  const togglePlay = useCallback(() => {
+    leaveLive()
+    setPlaying(p => !p)
+  }, [leaveLive])
+  const toggleReverse = useCallback(() => {
+    leaveLive()
+    setReverse(r => !r)
+  }, [leaveLive])
+  const changeSpeed = useCallback(dir => {
+    leaveLive()
+    setSpeed(sp => SPEEDS[Math.min(SPEEDS.length - 1, Math.max(0, SPEEDS.indexOf(sp) + dir))])
+  }, [leaveLive])
+  // Steps pause the clock (and may cross into the neighbouring day)
+  const stepBy = useCallback(sec => {
+    leaveLive()
+    setPlaying(false)
+    setClock(c => rollClock(c.t + sec, c.date))
+  }, [leaveLive])
+  const frameSec = Math.max(MIN_FRAME_SEC, speed / FRAME_FPS)
+  const jumps = useMemo(() => [
+    ['Primer bus', Math.max(T_MIN, firstDep ?? T_MIN)],
+    ['Hora punta', RUSH_HOUR],
+    ['Búhos', NIGHT_LINES],
+  ], [firstDep])
+  const jumpTo = useCallback(t => {
+    leaveLive()
+    setClock(c => ({ ...c, t: Math.min(T_MAX - 60, Math.max(T_MIN, t)) }))
+  }, [leaveLive])
+
+  // Space play/pause · R reverse · +/- speed · , . frame (Shift: minute) · 1-3 jumps
+  useEffect(() => {
+    if (game.active) return
+    const onKey = e => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, textarea, select')) return
+      if (e.code === 'Space') togglePlay()
+      else if (e.code === 'KeyR') toggleReverse()
+      else if (e.key === '+' || e.key === '=') changeSpeed(1)
+      else if (e.key === '-') changeSpeed(-1)
+      else if (e.code === 'Comma') stepBy(e.shiftKey ? -60 : -frameSec)
+      else if (e.code === 'Period') stepBy(e.shiftKey ? 60 : frameSec)
+      else if (/^Digit[1-9]$/.test(e.code) && jumps[e.code.slice(5) - 1]) jumpTo(jumps[e.code.slice(5) - 1][1])
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [game.active, togglePlay, toggleReverse, changeSpeed, stepBy, jumpTo, frameSec, jumps])
+
+  // ── Follow a vehicle ───────────────────────────────────
+  // GtfsMap asks to start (popup button) or stop (map dragged) following;
+  // a trip that finishes keeps its panel, marked as ended, until closed.
+  const handleFollow = useCallback(key => {
+    setFollow(key)
+    if (!key) setFollowInfo(null)
+  }, [])
+  const handleFollowInfo = useCallback(info => {
+    if (!info.ended) { setFollowInfo(info); return }
+    setFollow(null)
+    setFollowInfo(prev => (prev?.key === info.key ? { ...prev, ended: true } : prev))
+  }, [])
+
+  // ── Stop departure board ───────────────────────────────
+  // While the planner is picking a stop, a stop click fills its field instead
+  const handleStopSelect = useCallback(stop => {
+    if (picking && stop) {
+      if (picking === 'from') setPlanFrom(stop)
+      else setPlanTo(stop)
+      setPicking(null)
+      return
+    }
+    setBoardStop(stop?.id ?? null)
+    setBoard(null)
+    if (stop) setPanelOpen(false)
+  }, [picking])
+  const closeBoard = useCallback(() => {
+    setBoardStop(null)
+    setBoard(null)
+  }, [])
+
+  // ── Reachability from a stop (right click) ─────────────
+  const handleIsoStop = useCallback(stop => {
+    setIsoStop(stop)
+    setIsochrone(null)
+  }, [])
+  const closeIso = useCallback(() => handleIsoStop(null), [handleIsoStop])
+
+  // ── Journey planner ────────────────────────────────────
+  // The plan runs in GtfsMap (it has the network); each search is a new run
+  // and results of an older run are ignored.
+  const closePlanner = useCallback(() => {
+    setPlannerOpen(false)
+    setPicking(null)
+    setPlan(null)
+    setPlanResult(null)
+    setItinerary(null)
+  }, [])
+  const searchPlan = useCallback(() => {
+    if (!planFrom || !planTo) return
+    setPlan(p => ({ run: (p?.run || 0) + 1, from: planFrom.id, to: planTo.id, t: simTime, day: simDate }))
+    setPlanResult(null)
+    setItinerary(null)
+  }, [planFrom, planTo, simTime, simDate])
+  const handlePlan = useCallback(res => {
+    setPlanResult({ ...res, itineraries: res.itineraries.map((it, i) => ({ ...it, key: `${res.run}:${i}` })) })
+  }, [])
+  const selectItinerary = useCallback(it => {
+    setItinerary(cur => (cur?.key === it.key ? null : it))
+    const coords = it.legs.flatMap(l => l.coords)
+    if (coords.length && mapRef.current) {
+      const bounds = coords.reduce((b, c) => b.extend(c), new mapboxgl.LngLatBounds(coords[0], coords[0]))
+      mapRef.current.fitBounds(bounds, { padding: 80, duration: 800 })
+    }
+  }, [])
+
+  // ── Export ─────────────────────────────────────────────
+  // GtfsMap renders the video frames and its worker the positions; the
+  // file comes back as a Blob. A video takes over the clock, so playback
+  // pauses; closing the panel cancels the job.
+  const startExport = useCallback(opts => {
+    if (opts.kind === 'video') {
+      leaveLive()
+      setPlaying(false)
+    }
+    setExportProgress(null)
+    setExportJob({ ...opts, date: simDate, run: ++exportRuns.current })
+  }, [leaveLive, simDate])
+  const handleExport = useCallback(({ run, done, total, error, blob }) => {
+    if (run !== exportJob?.run) return
+    setExportProgress({ done, total, error })
+    if (error) setExportJob(null)
+    if (!blob) return
+    const { kind, format, from, to, date } = exportJob
+    const span = [from, to].map(t => fmtTime(t).replace(':', '')).join('-')
+    const ext = kind === 'video' ? RECORD_FORMATS[format].ext : POSITION_FORMATS[format].ext
+    downloadFile(`pacman-madrid-${kind === 'video' ? 'video' : 'posiciones'}-${date}-${span}.${ext}`, blob, blob.type)
+    setExportJob(null)
+  }, [exportJob])
+  const closeExport = useCallback(() => {
+    setExportOpen(false)
+    setExportJob(null)
+    setExportProgress(null)
+  }, [])
+
+  // ── Game mode ──────────────────────────────────────────
+  const startGame = useCallback(() => {
+    setGame(g => ({ active: true, run: g.run + 1, heading: null }))
+    gameStatus.current = null
+    setGameInfo(null)
+    setLastRank(-1)
+    setSelRoute(null)
+    setPanelOpen(false)
+    handleFollow(null)
+    closeBoard()
+    closePlanner()
+    closeIso()
+    closeExport()
+    setAnalyticsOpen(false)
+    leaveLive()
+    setPlaying(true)
+  }, [leaveLive, handleFollow, closeBoard, closePlanner, closeIso, closeExport])
+  const quitGame = useCallback(() => {
+    setGame(g => ({ ...g, active: false, heading: null }))
+    setGameInfo(null)
+  }, [])
+
+  // Arrows steer, Enter replays after a game over, Escape quits
+  useEffect(() => {
+    if (!game.active) return
+    const onKey = e => {
+      if (e.key in ARROW_HEADINGS) {
+        e.preventDefault()
+        setGame(g => ({ ...g, heading: ARROW_HEADINGS[e.key] }))
+      } else if (e.key === 'Escape') {
+        quitGame()
+      } else if (e.key === 'Enter' && gameInfo?.status === 'over') {
+        startGame()
+      }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [game.active, gameInfo?.status, startGame, quitGame])
+
+  // The run is recorded once, on the report that first says it is over
+  const handleGame = useCallback(info => {
+    if (info.status === 'over' && gameStatus.current !== 'over') {
+      const { table, rank } = saveHighScore({
+        score: info.score, level: info.level + 1, district: info.district, date: todayISO(),
+      })
+      setHighScores(table)
+      setLastRank(rank)
+    }
+    gameStatus.current = info.status
+    setGameInfo(info)
+  }, [])
 
   // ── Filter routes for search ───────────────────────────
   const filtered = routes.filter(r => {
     if (!query) return true
     const q = query.toLowerCase()
     return (
-      r.shortName.toLowerCase().includes(q) ||
-      r.longName.toLowerCase().includes(q)
+      (r.shortName || '').toLowerCase().includes(q) ||
+      (r.longName || '').toLowerCase().includes(q)
     )
   })
 
+  const toggleFeed = useCallback(id => {
+    setHiddenFeeds(h => (h.includes(id) ? h.filter(f => f !== id) : [...h, id]))
+  }, [])
+
+  // Focus map on route bounds (from the line index if its shapes are still loading)
+  const fitRoute = useCallback(r => {
+    if (!mapRef.current) return
+    const coords = r.bbox ? [] : r.shapes.flatMap(sh => sh.coordinates)
+    if (r.bbox) {
+      mapRef.current.fitBounds(r.bbox, { padding: 80, duration: 800 })
+    } else if (coords.length > 0) {
+      const bounds = coords.reduce(
+        (b, c) => b.extend(c),
+        new mapboxgl.LngLatBounds(coords[0], coords[0])
+      )
+      mapRef.current.fitBounds(bounds, { padding: 80, duration: 800 })
+    }
+  }, [])
+
   const handleRoutePick = useCallback(r => {
     const deselect = selRoute?.id === r.id
     setSelRoute(deselect ? null : r)
-    // Focus map on route bounds
-    if (!deselect && mapRef.current) {
-      const coords = r.shapes.flatMap(sh => sh.coordinates)
-      if (coords.length > 0) {
-        const bounds = coords.reduce(
-          (b, c) => b.extend(c),
-          new mapboxgl.LngLatBounds(coords[0], coords[0])
-        )
-        mapRef.current.fitBounds(bounds, { padding: 80, duration: 800 })
-      }
+    if (!deselect) fitRoute(r)
+  }, [selRoute, fitRoute])
+
+  // ── Deep links ─────────────────────────────────────────
+  // Clock, play state, date, query and camera are written to the URL with
+  // replaceState (throttled); picking a route pushes a history entry, so
+  // back/forward step through selections. `view` is what the URL shows.
+  const view = useRef({ ...INITIAL_VIEW, playing: INITIAL_VIEW.playing ?? true })
+  const pendingRoute = useRef(INITIAL_VIEW.routeId ?? null) // restored once the line index arrives
+  const urlTimer = useRef(null)
+
+  const writeURL = useCallback(push => {
+    clearTimeout(urlTimer.current)
+    urlTimer.current = null
+    const url = `${window.location.pathname}${viewStateSearch(view.current)}${window.location.hash}`
+    if (push) window.history.pushState(null, '', url)
+    else window.history.replaceState(null, '', url)
+  }, [])
+  const scheduleURL = useCallback(() => {
+    if (!urlTimer.current) urlTimer.current = setTimeout(() => writeURL(false), URL_WRITE_MS)
+  }, [writeURL])
+
+  const minute = Math.floor(simTime / 60)
+  useEffect(() => {
+    Object.assign(view.current, { t: minute * 60, playing, date: simDate, query })
+    scheduleURL()
+  }, [minute, playing, simDate, query, scheduleURL])
+
+  useEffect(() => {
+    const id = selRoute?.id ?? null
+    if (id === (view.current.routeId ?? null) || pendingRoute.current) return
+    view.current.routeId = id
+    writeURL(true)
+  }, [selRoute, writeURL])
+
+  const handleCamera = useCallback(camera => {
+    view.current.camera = camera
+    scheduleURL()
+  }, [scheduleURL])
+
+  const handleRoutesLoaded = useCallback(list => {
+    setRoutes(list)
+    if (!pendingRoute.current) return
+    // The first call already lists every line (stubs until their shapes load)
+    const r = list.find(x => x.id === pendingRoute.current)
+    pendingRoute.current = null
+    if (!r) {
+      view.current.routeId = null
+      writeURL(false)
+      return
     }
-  }, [selRoute])
+    setSelRoute(r)
+    if (!INITIAL_VIEW.camera) fitRoute(r) // a shared camera wins over the route's bounds
+  }, [fitRoute, writeURL])
+
+  // Back/forward: the selection, query and camera of that entry
+  useEffect(() => {
+    const onPop = () => {
+      const v = parseViewState(window.location.search)
+      view.current = { ...view.current, routeId: v.routeId, query: v.query ?? '', camera: v.camera ?? view.current.camera }
+      setSelRoute(routes.find(r => r.id === v.routeId) || null)
+      setQuery(v.query ?? '')
+      if (v.camera) mapRef.current?.jumpTo(v.camera)
+    }
+    window.addEventListener('popstate', onPop)
+    return () => window.removeEventListener('popstate', onPop)
+  }, [routes])
 
   return (
     <>
@@ -97,32 +1000,263 @@ export default function App() {
           <div className="hud-stats">
             <span>🟡 <b>{stats.buses}</b> buses</span>
             <span>🛤️ <b>{stats.routes}</b> rutas</span>
+            {stats.loaded < stats.total && (
+              <span className="hud-loading">⏳ {stats.loaded}/{stats.total}</span>
+            )}
+            {live && (
+              <span className={`hud-live ${rtUpdate ? rtStatus : ''}`} title={rtUpdate?.error || ''}>
+                📡 {liveLabel(rtUpdate, rtStatus, nowMs, stats.live || 0)}
+              </span>
+            )}
           </div>
         </div>
 
-        <div className="hud-clock">{fmtTime(simTime)}</div>
+        <div className="hud-clock" title={afterMidnight ? `Servicio del ${dayLabel(simDate)}, ya de madrugada` : undefined}>
+          {fmtTime(simTime)}
+          {afterMidnight && <span className="clock-next-day">+1</span>}
+        </div>
 
-        <button
-          className="panel-toggle"
-          onClick={() => setPanelOpen(p => !p)}
-          title="Buscar líneas"
-        >
-          {panelOpen ? '✕' : '🔍'}
-        </button>
+        <div className="hud-actions">
+          <button
+            className={`panel-toggle game-toggle${game.active ? ' on' : ''}`}
+            onClick={e => {
+              e.currentTarget.blur() // Enter must not re-press the button mid-game
+              if (game.active) quitGame()
+              else startGame()
+            }}
+            title={game.active ? 'Salir del juego (Esc)' : 'Jugar: flechas para moverte, los autobuses son fantasmas'}
+          >
+            {game.active ? '✕' : '🕹️'}
+          </button>
+
+          <button
+            className="panel-toggle"
+            onClick={() => {
+              setAnalyticsOpen(o => !o)
+              setAnalytics(null)
+              setPanelOpen(false)
+              closePlanner()
+              closeBoard()
+              closeExport()
+            }}
+            title="Estadísticas del servicio del día"
+            disabled={game.active}
+          >
+            {analyticsOpen ? '✕' : '📊'}
+          </button>
+
+          <button
+            className="panel-toggle"
+            onClick={() => {
+              if (plannerOpen) { closePlanner(); return }
+              setPlannerOpen(true)
+              setPanelOpen(false)
+              setAnalyticsOpen(false)
+              closeBoard()
+              closeExport()
+            }}
+            title="Planificar un viaje entre dos paradas"
+            disabled={game.active}
+          >
+            {plannerOpen ? '✕' : '🧭'}
+          </button>
+
+          <button
+            className="panel-toggle"
+            onClick={() => {
+              if (exportOpen) { closeExport(); return }
+              setExportOpen(true)
+              setPanelOpen(false)
+              setAnalyticsOpen(false)
+              closePlanner()
+              closeBoard()
+            }}
+            title="Exportar vídeo o posiciones"
+            disabled={game.active}
+          >
+            {exportOpen ? '✕' : '🎬'}
+          </button>
+
+          <button
+            className="panel-toggle"
+            onClick={() => { setPanelOpen(p => !p); closeBoard(); closePlanner(); closeExport(); setAnalyticsOpen(false) }}
+            title="Buscar líneas"
+          >
+            {panelOpen ? '✕' : '🔍'}
+          </button>
+        </div>
       </div>
 
       {/* ── Map ──────────────────────────────────────── */}
       <GtfsMap
         simTime={simTime}
+        simDate={simDate}
         playing={playing}
+        speed={rate}
         selectedRoute={selRoute}
+        hiddenFeeds={hiddenFeeds}
+        game={game}
+        live={live}
+        follow={follow}
+        boardStop={boardStop}
+        plan={plan}
+        itinerary={itinerary}
+        isoStop={isoStop}
+        analytics={analyticsOpen ? { heat } : null}
+        bunching={analyticsOpen && bunching.on ? bunching : null}
+        exportJob={exportJob}
+        onGame={handleGame}
+        onRealtime={setRtUpdate}
+        onFollow={handleFollow}
+        onFollowInfo={handleFollowInfo}
+        onStopSelect={handleStopSelect}
+        onBoard={setBoard}
+        onPlan={handlePlan}
+        onIsoStop={handleIsoStop}
+        onIsochrone={setIsochrone}
+        onAnalytics={setAnalytics}
+        onIncidents={setIncidents}
+        onExport={handleExport}
         onStats={setStats}
         onReady={() => setLoading(false)}
         onProgress={setLoadMsg}
-        onRoutesLoaded={setRoutes}
+        onRoutesLoaded={handleRoutesLoaded}
+        onFirstDeparture={setFirstDep}
+        onCamera={handleCamera}
+        camera={INITIAL_VIEW.camera}
+        onFeedsLoaded={setFeeds}
         mapRef={mapRef}
       />
 
+      {/* ── Game HUD ─────────────────────────────────── */}
+      {game.active && gameInfo && (
+        <div className="game-hud">
+          <div className="game-row">
+            <span>PUNTOS <b>{gameInfo.score}</b></span>
+            <span>RÉCORD <b>{Math.max(gameInfo.score, highScores[0]?.score || 0)}</b></span>
+          </div>
+          <div className="game-row">
+            <span className="game-lives">{'ᗧ'.repeat(Math.max(0, gameInfo.lives))}</span>
+            <span>NIVEL {gameInfo.level + 1} · {gameInfo.district}</span>
+            <span>● {gameInfo.pellets}</span>
+          </div>
+          {gameInfo.fright && <div className="game-fright">¡FANTASMAS VULNERABLES!</div>}
+        </div>
+      )}
+      {game.active && gameInfo?.status === 'over' && (
+        <div className="game-over">
+          <h2>GAME OVER</h2>
+          <ol className="game-scores">
+            {highScores.map((h, i) => (
+              <li key={i} className={i === lastRank ? 'me' : ''}>
+                <b>{h.score}</b> · nivel {h.level} ({h.district}) · {h.date}
+              </li>
+            ))}
+          </ol>
+          <p>ENTER para jugar otra vez · ESC para salir</p>
+        </div>
+      )}
+
+      {/* ── Followed vehicle ─────────────────────────── */}
+      {followInfo && (
+        <FollowPanel info={followInfo} simTime={simTime} onClose={() => handleFollow(null)} />
+      )}
+
+      {/* ── Stop departure board ─────────────────────── */}
+      {board && boardStop === board.stopId && (
+        <StopBoard board={board} simTime={simTime} onClose={closeBoard} />
+      )}
+
+      {/* ── Reachability legend ──────────────────────── */}
+      {isoStop && (
+        <div className="iso-panel">
+          <div className="follow-head">
+            <span className="board-title">⏱️ Alcance desde {isoStop.name} · {fmtTime(simTime)}</span>
+            <button className="follow-close" onClick={closeIso} title="Cerrar">✕</button>
+          </div>
+          <div className="iso-bands">
+            {isochrone?.stopId === isoStop.id
+              ? isochrone.bands.map(b => (
+                <span key={b.minutes} className="iso-band">
+                  <span className="iso-swatch" style={{ background: b.color }} />
+                  {b.minutes} min · {b.stops} paradas
+                </span>
+              ))
+              : 'Calculando…'}
+          </div>
+        </div>
+      )}
+
+      {/* ── Service analytics ────────────────────────── */}
+      {analyticsOpen && (
+        <AnalyticsPanel
+          data={analytics}
+          selRoute={selRoute}
+          simTime={simTime}
+          heat={heat}
+          bunching={bunching}
+          incidents={incidents}
+          onHeat={() => setHeat(h => !h)}
+          onBunching={change => {
+            setBunching(b => ({ ...b, ...change }))
+            setIncidents(null)
+          }}
+          onPick={i => routes[i] && handleRoutePick(routes[i])}
+          onClose={() => setAnalyticsOpen(false)}
+        />
+      )}
+
+      {/* ── Journey planner ──────────────────────────── */}
+      {plannerOpen && (
+        <JourneyPanel
+          routes={routes}
+          from={planFrom}
+          to={planTo}
+          picking={picking}
+          result={plan && planResult?.run === plan.run ? planResult : null}
+          itinerary={itinerary}
+          onFrom={setPlanFrom}
+          onTo={setPlanTo}
+          onPick={field => setPicking(p => (p === field ? null : field))}
+          onSwap={() => { setPlanFrom(planTo); setPlanTo(planFrom) }}
+          onSearch={searchPlan}
+          onSelect={selectItinerary}
+          onClose={closePlanner}
+        />
+      )}
+
+      {/* ── Export ───────────────────────────────────── */}
+      {exportOpen && (
+        <ExportPanel
+          simTime={simTime}
+          job={exportJob}
+          progress={exportProgress}
+          onStart={startExport}
+          onCancel={() => setExportJob(null)}
+          onClose={closeExport}
+        />
+      )}
+
+      {/* ── Legend (one toggle per feed) ─────────────── */}
+      {feeds.length > 1 && (
+        <div className="legend">
+          {feeds.map(f => (
+            <button
+              key={f.id}
+              className={`legend-item${hiddenFeeds.includes(f.id) ? ' off' : ''}`}
+              onClick={() => toggleFeed(f.id)}
+              title={MODE_LABELS[f.mode] || ''}
+            >
+              <span
+                className={`legend-sprite ${f.sprite?.kind || 'pacman'}`}
+                style={{ background: f.sprite?.color }}
+              />
+              {f.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* ── Search Panel ─────────────────────────────── */}
       {panelOpen && (
         <div className="search-panel">
@@ -147,6 +1281,7 @@ export default function App() {
                     {r.shortName}
                   </span>
                   <span className="sr-name">{r.longName}</span>
+                  {feeds.length > 1 && <span className="sr-mode">{MODE_LABELS[r.type]}</span>}
                 </div>
 
                 {selRoute?.id === r.id && r.frequencies?.length > 0 && (
@@ -157,14 +1292,14 @@ export default function App() {
                     ))}
                   </div>
                 )}
-                {selRoute?.id === r.id && r.shapes?.[0]?.stops?.length > 0 && (
-                  <div className="sr-sched">
-                    <div className="sr-sched-title">Paradas ({r.shapes[0].stops.length})</div>
-                    {r.shapes[0].stops.map((s, i) => (
+                {selRoute?.id === r.id && directionShapes(r).map(sh => (
+                  <div key={sh.shapeId} className="sr-sched">
+                    <div className="sr-sched-title">→ {sh.headsign} ({sh.stops.length} paradas)</div>
+                    {sh.stops.map((s, i) => (
                       <div key={i} className="sr-band">{s.name}</div>
                     ))}
                   </div>
-                )}
+                ))}
               </div>
             ))}
             {filtered.length === 0 && (
@@ -176,9 +1311,38 @@ export default function App() {
 
       {/* ── Bottom controls ──────────────────────────── */}
       <div className="hud-bottom">
-        <button onClick={() => setPlaying(p => !p)} className="active">
+        <button onClick={toggleReverse} className={reverse ? 'active' : ''} title="Marcha atrás (R)" disabled={game.active}>
+          ◀◀
+        </button>
+        <button onClick={togglePlay} className={live ? '' : 'active'} title="Reproducir / pausa (espacio)">
           {playing ? '⏸' : '▶'}
         </button>
+        {!playing && (
+          <>
+            <button onClick={() => stepBy(-60)} title="Un minuto atrás (Shift + ,)">−1′</button>
+            <button onClick={() => stepBy(-frameSec)} title="Un fotograma atrás (,)">‹</button>
+            <button onClick={() => stepBy(frameSec)} title="Un fotograma adelante (.)">›</button>
+            <button onClick={() => stepBy(60)} title="Un minuto adelante (Shift + .)">+1′</button>
+          </>
+        )}
+        <select
+          className="date-input"
+          value={speed}
+          onChange={e => { leaveLive(); setSpeed(Number(e.target.value)) }}
+          title="Velocidad (+ / −)"
+          disabled={game.active}
+        >
+          {SPEEDS.map(sp => <option key={sp} value={sp}>{sp}×</option>)}
+        </select>
+        {REALTIME && (
+          <button
+            onClick={toggleLive}
+            className={live ? 'active live' : ''}
+            title="Hora real con las posiciones en vivo (GTFS-Realtime)"
+          >
+            📡 EN VIVO
+          </button>
+        )}
 
         <div className="divider" />
 
@@ -186,12 +1350,34 @@ export default function App() {
           type="range"
           className="time-slider"
           min={T_MIN}
-          max={T_MAX}
+          max={T_MAX - 60}
           step={60}
           value={simTime}
-          onChange={e => setSimTime(Number(e.target.value))}
+          onChange={e => { leaveLive(); setClock(c => ({ ...c, t: Number(e.target.value) })) }}
         />
         <span className="time-display">{fmtTime(simTime)}</span>
+        <select
+          className="date-input"
+          value=""
+          onChange={e => { if (e.target.value) jumpTo(Number(e.target.value)) }}
+          title="Ir a… (1-3)"
+        >
+          <option value="">Ir a…</option>
+          {jumps.map(([label, t], i) => <option key={label} value={t}>{i + 1}. {label} ({fmtTime(t)})</option>)}
+        </select>
+
+        <div className="divider" />
+
+        <input
+          type="date"
+          className="date-input"
+          value={simDate}
+          onChange={e => { if (!e.target.value) return; leaveLive(); setClock(c => ({ ...c, date: e.target.value })) }}
+          title="Día simulado (calendario de servicio)"
+        />
+        <span className={`day-label${afterMidnight ? ' after-midnight' : ''}`}>
+          {dayLabel(simDate)}{afterMidnight && ` → ${dayLabel(addDays(simDate, 1))}`}
+        </span>
       </div>
 
       {/* ── Credit ───────────────────────────────────── */}
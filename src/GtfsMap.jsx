@@ -1,15 +1,41 @@
 import { useEffect, useRef } from 'react'
 import mapboxgl from 'mapbox-gl'
 import 'mapbox-gl/dist/mapbox-gl.css'
-import * as turf from '@turf/turf'
+import { loadNetwork, createRouteLoader, bboxInView } from './utils/data'
+import { feedSprites, addFeedIcons, addGameIcons, vehiclePose, GAME_GHOSTS } from './utils/sprites'
+import { buildLevel, createGame, levelDistrict } from './utils/game'
+import { BUS_STRIDE } from './utils/sim'
+import { realtimeConfig, createRealtimeClient, matchLive } from './utils/realtime'
+import { stopSchedule } from './utils/board'
+import { buildTimetable, plan as planJourney, reach, reachAreas } from './utils/planner'
+import { serviceAnalytics, stopDepartures, firstDeparture, HOURS } from './utils/analytics'
+import { detectIncidents } from './utils/bunching'
+import { activeServices, serviceDays, addDays, dayLabel, DAY_SEC } from './utils/calendar'
+import { createRecorder, drawClock } from './utils/recorder'
+import { gtfsTime } from './utils/export'
 
 // ── Config ──────────────────────────────────────────────────
 const MAPBOX_TOKEN =
   import.meta.env.VITE_MAPBOX_TOKEN ||
   'pk.eyJ1IjoibWFwYm94IiwiYSI6ImNpejY4NXVycTA2emYycXBndHRqcmZ3N3gifQ.rJcFIG214AriISLbB6B5aw'
 
-const BASE = import.meta.env.BASE_URL || '/'
-const PELLET_RESPAWN = 4000
+const PELLET_RESPAWN_MS = 4000 // real time a stop stays eaten once left, at any speed
+const LOAD_FLUSH_MS = 300 // batch lazily loaded lines into the map sources
+// Map sources are redrawn on their own clock, independent of the 60 fps
+// animation loop that feeds the simulation worker
+const BUS_UPDATE_MS = 50
+const PELLET_UPDATE_MS = 250
+const FRIGHT_FLASH_MS = 2000 // vulnerable ghosts flash white this long before recovering
+const RT_CONFIG = realtimeConfig(import.meta.env) // null without GTFS-RT URLs
+const FOLLOW_ZOOM = 15 // camera zoom when starting to follow a vehicle
+const FOLLOW_EASE_MS = 800
+const ISO_LIMITS = [15, 30, 45].map(m => m * 60) // reachability bands, seconds
+const ISO_COLORS = ['#00FF7F', '#FFD700', '#FF6347']
+const HEAT_MAX_DEPS = 60 // departures per hour at a stop that saturate the heatmap
+const INCIDENT_CHECK_MS = 1000 // bunching and gaps are re-checked this often
+const ISO_UPDATE_MS = 500 // reachability areas follow the clock at most this often
+const INCIDENT_COLORS = { bunch: '#FF3030', gap: '#FF8C00' }
+const EXPORT_SETTLE_MS = 3000 // longest wait for the map to finish an exported frame (tiles loading)
 
 const ROUTE_PALETTE = [
   '#FF0000','#FFB8FF','#00FFFF','#FFB852','#FF69B4','#7FFF00',
@@ -17,79 +43,118 @@ const ROUTE_PALETTE = [
 ]
 
 // ── Helpers ─────────────────────────────────────────────────
-async function fetchJSON(name) {
-  const r = await fetch(`${BASE}data/${name}`)
-  if (!r.ok) throw new Error(`Failed ${name}`)
-  return r.json()
-}
-
 function routeColor(i) {
   return ROUTE_PALETTE[i % ROUTE_PALETTE.length]
 }
 
-/** Create a Pac-Man icon facing RIGHT (horizontal) as raw pixel data */
-function createPacmanIcon(size = 48, color = '#FFD700') {
-  const c = document.createElement('canvas')
-  c.width = size; c.height = size
-  const ctx = c.getContext('2d')
-  const cx = size / 2, cy = size / 2, r = size / 2 - 2
-
-  // Body — mouth opens to the right
-  ctx.fillStyle = color
-  ctx.beginPath()
-  ctx.moveTo(cx, cy)
-  ctx.arc(cx, cy, r, 0.25 * Math.PI, 1.75 * Math.PI)
-  ctx.closePath()
-  ctx.fill()
-
-  // Eye
-  ctx.fillStyle = '#000'
-  ctx.beginPath()
-  ctx.arc(cx + 2, cy - r * 0.38, size * 0.06, 0, Math.PI * 2)
-  ctx.fill()
-
-  return ctx.getImageData(0, 0, size, size)
+/** Map layers are duplicated per feed so each can be toggled from the legend */
+const feedLayer = (base, feedId) => `${base}-${feedId}`
+const byFeed = feedId => ['==', ['get', 'feed'], feedId]
+
+/** Heading from one [lon, lat] to another, degrees clockwise from north */
+function headingBetween([lon1, lat1], [lon2, lat2]) {
+  const dx = (lon2 - lon1) * Math.cos(lat1 * Math.PI / 180)
+  return (Math.atan2(dx, lat2 - lat1) * 180 / Math.PI + 360) % 360
 }
 
-/**
- * Given a route's frequency bands and the current simulated time,
- * return an array of { progress } for each bus currently on-route.
- */
-function activeBuses(route, simTime) {
-  const out = []
-  const freqs = route.frequencies
-  if (!freqs || freqs.length === 0) return out
-
-  for (const band of freqs) {
-    if (band.headway <= 0) continue
-    const dur = band.tripDur || route.tripDuration || 1800
-
-    for (let dep = band.startSec; dep < band.endSec; dep += band.headway) {
-      const elapsed = simTime - dep
-      if (elapsed < 0 || elapsed > dur) continue
-      out.push({ progress: elapsed / dur })
-    }
+/** What the simulation worker needs of a route; stops carry their pellet index */
+function simRoute(route, ri, stopIdx) {
+  return {
+    ri,
+    id: route.id,
+    feed: route.feed,
+    shortName: route.shortName,
+    frequencies: route.frequencies,
+    tripDuration: route.tripDuration,
+    shapes: route.shapes.map(sh => ({
+      shapeId: sh.shapeId,
+      direction: sh.direction,
+      coordinates: sh.coordinates,
+      stops: sh.stops.map(st => ({ id: st.id, idx: stopIdx.get(st.id) ?? -1, arr: st.arr, dist: st.dist })),
+    })),
   }
-  return out
 }
 
 // ── Component ───────────────────────────────────────────────
 export default function GtfsMap({
-  simTime, playing, selectedRoute,
-  onStats, onReady, onProgress, onRoutesLoaded, mapRef: externalMapRef,
+  simTime, simDate, playing, speed, selectedRoute, hiddenFeeds, game, live, follow, boardStop, plan, itinerary,
+  isoStop, analytics, bunching, camera, exportJob,
+  onStats, onFirstDeparture, onReady, onProgress, onRoutesLoaded, onFeedsLoaded, onGame, onRealtime, onFollow, onFollowInfo,
+  onStopSelect, onBoard, onPlan, onIsoStop, onIsochrone, onAnalytics, onIncidents, onCamera, onExport, mapRef: externalMapRef,
 }) {
   const containerRef = useRef(null)
   const mapRef = useRef(null)
-  const stateRef = useRef({ simTime, playing, selectedRoute })
+  const feedLayersRef = useRef({}) // feedId → [layerId]
+  const loaderRef = useRef(null)
+  const realtimeRef = useRef(null)
+  const stateRef = useRef({
+    simTime, simDate, playing, speed, selectedRoute, hiddenFeeds, game, live, follow, boardStop, plan, itinerary, isoStop,
+    analytics, bunching, exportJob,
+  })
 
   useEffect(() => { stateRef.current.simTime = simTime }, [simTime])
+  useEffect(() => { stateRef.current.simDate = simDate }, [simDate])
   useEffect(() => { stateRef.current.playing = playing }, [playing])
-  useEffect(() => { stateRef.current.selectedRoute = selectedRoute }, [selectedRoute])
+  useEffect(() => { stateRef.current.speed = speed }, [speed])
+  useEffect(() => {
+    stateRef.current.selectedRoute = selectedRoute
+    // A line picked before its geometry arrived jumps the loading queue
+    if (selectedRoute && !selectedRoute.loaded) loaderRef.current?.request(selectedRoute.id)
+  }, [selectedRoute])
+
+  useEffect(() => { stateRef.current.game = game }, [game])
+  useEffect(() => { stateRef.current.onGame = onGame }, [onGame])
+  useEffect(() => { stateRef.current.onRealtime = onRealtime }, [onRealtime])
+  useEffect(() => { stateRef.current.follow = follow }, [follow])
+  useEffect(() => { stateRef.current.onFollow = onFollow }, [onFollow])
+  useEffect(() => { stateRef.current.onFollowInfo = onFollowInfo }, [onFollowInfo])
+  useEffect(() => { stateRef.current.boardStop = boardStop }, [boardStop])
+  useEffect(() => { stateRef.current.onStopSelect = onStopSelect }, [onStopSelect])
+  useEffect(() => { stateRef.current.onBoard = onBoard }, [onBoard])
+  useEffect(() => { stateRef.current.plan = plan }, [plan])
+  useEffect(() => { stateRef.current.itinerary = itinerary }, [itinerary])
+  useEffect(() => { stateRef.current.onPlan = onPlan }, [onPlan])
+  useEffect(() => { stateRef.current.isoStop = isoStop }, [isoStop])
+  useEffect(() => { stateRef.current.onIsoStop = onIsoStop }, [onIsoStop])
+  useEffect(() => { stateRef.current.onIsochrone = onIsochrone }, [onIsochrone])
+  useEffect(() => { stateRef.current.analytics = analytics }, [analytics])
+  useEffect(() => { stateRef.current.onAnalytics = onAnalytics }, [onAnalytics])
+  useEffect(() => { stateRef.current.bunching = bunching }, [bunching])
+  useEffect(() => { stateRef.current.onIncidents = onIncidents }, [onIncidents])
+  useEffect(() => { stateRef.current.onCamera = onCamera }, [onCamera])
+  useEffect(() => { stateRef.current.exportJob = exportJob }, [exportJob])
+  useEffect(() => { stateRef.current.onExport = onExport }, [onExport])
+  useEffect(() => { stateRef.current.onFirstDeparture = onFirstDeparture }, [onFirstDeparture])
+
+  // The realtime feed is only polled in live mode
+  useEffect(() => {
+    stateRef.current.live = live
+    if (live) realtimeRef.current?.start()
+    else realtimeRef.current?.stop()
+  }, [live])
+
+  // ── Legend toggles: show/hide every layer of a feed ───
+  // (the game hides the stop pellets: it draws its own)
+  const syncVisibility = () => {
+    const map = mapRef.current
+    const { hiddenFeeds: hidden, game: g } = stateRef.current
+    for (const [feedId, ids] of Object.entries(feedLayersRef.current)) {
+      for (const id of ids) {
+        const off = hidden?.includes(feedId) || (g?.active && id.startsWith('pellets-'))
+        if (map?.getLayer(id)) map.setLayoutProperty(id, 'visibility', off ? 'none' : 'visible')
+      }
+    }
+  }
+  useEffect(() => {
+    stateRef.current.hiddenFeeds = hiddenFeeds
+    syncVisibility()
+  }, [hiddenFeeds])
 
   useEffect(() => {
     if (mapRef.current) return
     let cancelled = false
     let animId = null
+    const cleanup = []
 
     mapboxgl.accessToken = MAPBOX_TOKEN
 
@@ -108,76 +173,101 @@ export default function GtfsMap({
         },
         layers: [{ id: 'base', type: 'raster', source: 'carto-dark' }],
       },
-      center: [-3.7038, 40.4168],
-      zoom: 12,
+      // A shared link opens on its camera (only read once, when the map is created)
+      center: camera?.center || [-3.7038, 40.4168],
+      zoom: camera?.zoom ?? 12,
+      bearing: camera?.bearing ?? 0,
       maxBounds: [[-4.1, 40.05], [-3.2, 40.75]],
     })
 
     map.addControl(new mapboxgl.NavigationControl(), 'top-right')
     mapRef.current = map
     if (externalMapRef) externalMapRef.current = map
+    map.on('moveend', () => {
+      const c = map.getCenter()
+      stateRef.current.onCamera?.({ center: [c.lng, c.lat], zoom: map.getZoom(), bearing: map.getBearing() })
+    })
 
     map.on('load', async () => {
       if (cancelled) return
       try {
         // ── Load data ──────────────────────────────────
-        onProgress('Descargando rutas EMT…')
-        const [routes, stops] = await Promise.all([
-          fetchJSON('emt-routes.json'),
-          fetchJSON('emt-stops.json'),
-        ])
+        const { feeds, routes, stops, calendar, schedule } = await loadNetwork(onProgress)
         if (cancelled) return
         onRoutesLoaded(routes)
 
-        // ── Pac-Man icons ──────────────────────────────
-        map.addImage('pacman', createPacmanIcon(48, '#FFD700'))
-        map.addImage('pacman-hl', createPacmanIcon(48, '#00FF88'))
+        // ── Sprites: Pac-Man for EMT, a ghost per other mode ──
+        const sprites = feedSprites(feeds)
+        addFeedIcons(map, sprites)
+        onFeedsLoaded?.(feeds.map(f => ({ ...f, sprite: sprites[f.id] })))
 
-        // ── Pre-compute turf lineStrings ───────────────
+        // Layers are added group by group (lines, pellets, vehicles) so every
+        // feed's vehicles draw above every feed's lines
+        const addFeedLayers = spec => {
+          for (const f of feeds) {
+            const id = feedLayer(spec.id, f.id)
+            map.addLayer({ ...spec, id, filter: byFeed(f.id) })
+            if (!feedLayersRef.current[f.id]) feedLayersRef.current[f.id] = []
+            feedLayersRef.current[f.id].push(id)
+          }
+          return feeds.map(f => feedLayer(spec.id, f.id))
+        }
+
+        // ── Simulation worker ──────────────────────────
+        // Positions are computed off the main thread (src/sim.worker.js);
+        // routes go over once, frames come back as flat buffers that refer
+        // to routes and pellets by index.
         onProgress('Procesando rutas…')
-        const routeGeo = routes.map(r => {
-          const sh = r.shapes[0]
-          if (!sh || sh.coordinates.length < 2) return null
-          try {
-            const line = turf.lineString(sh.coordinates)
-            const len = turf.length(line, { units: 'kilometers' })
-            return len > 0.05 ? { line, len } : null
-          } catch { return null }
+        const worker = new Worker(new URL('./sim.worker.js', import.meta.url), { type: 'module' })
+        cleanup.push(() => worker.terminate())
+        const stopIdx = new Map()
+        let dirty = true // routes or date changed since the last frame
+        const indexNewStops = () => {
+          for (let i = stopIdx.size; i < stops.length; i++) stopIdx.set(stops[i].id, i)
+        }
+        const sendRoutes = list => worker.postMessage({
+          type: 'routes',
+          routes: list.map(r => simRoute(r, routes.indexOf(r), stopIdx)),
+          schedule: Object.fromEntries(list.map(r => [r.id, schedule?.[r.id]])),
         })
+        indexNewStops()
+        worker.postMessage({ type: 'calendar', calendar })
+        sendRoutes(routes.filter(r => r.loaded))
 
         // ── Route lines ────────────────────────────────
         onProgress('Dibujando rutas…')
         const routeFeatures = []
-        routes.forEach((r, ri) => {
+        const addRouteFeatures = (r, ri) => {
           r.shapes.forEach(sh => {
             if (sh.coordinates.length < 2) return
             routeFeatures.push({
               type: 'Feature',
               geometry: { type: 'LineString', coordinates: sh.coordinates },
-              properties: { color: r.color || routeColor(ri), routeId: r.id },
+              properties: { color: r.color || routeColor(ri), routeId: r.id, feed: r.feed },
             })
           })
-        })
+        }
+        routes.forEach(addRouteFeatures)
 
         map.addSource('routes', {
           type: 'geojson',
           data: { type: 'FeatureCollection', features: routeFeatures },
         })
-        map.addLayer({
+        addFeedLayers({
           id: 'routes-glow', type: 'line', source: 'routes',
           paint: {
             'line-color': ['get', 'color'], 'line-width': 5,
             'line-opacity': 0.08, 'line-blur': 3,
           },
         })
-        map.addLayer({
+        addFeedLayers({
           id: 'routes-line', type: 'line', source: 'routes',
           paint: {
             'line-color': ['get', 'color'], 'line-width': 1.5, 'line-opacity': 0.35,
           },
         })
 
-        // ── Highlight layer (selected route) ───────────
+        // ── Highlight layer (selected route or itinerary) ─
         map.addSource('highlight', {
           type: 'geojson',
           data: { type: 'FeatureCollection', features: [] },
@@ -188,42 +278,90 @@ export default function GtfsMap({
         })
         map.addLayer({
           id: 'hl-line', type: 'line', source: 'highlight',
-          paint: { 'line-color': '#FFD700', 'line-width': 3, 'line-opacity': 0.9 },
+          paint: {
+            'line-color': '#FFD700', 'line-width': 3,
+            // Walking legs of an itinerary are fainter than the rides
+            'line-opacity': ['case', ['boolean', ['get', 'walk'], false], 0.45, 0.9],
+          },
+        })
+
+        // ── Reachability (isochrone) areas ─────────────
+        // Under the pellets, one colour per travel-time band
+        map.addSource('isochrone', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } })
+        map.addLayer({
+          id: 'isochrone', type: 'fill', source: 'isochrone',
+          paint: {
+            'fill-color': ['match', ['get', 'band'], 0, ISO_COLORS[0], 1, ISO_COLORS[1], ISO_COLORS[2]],
+            'fill-opacity': 0.22,
+            'fill-antialias': false, // no seams between the grid rectangles
+          },
+        })
+
+        // ── Departures heatmap (analytics panel) ───────
+        // One point per stop weighted by its departures in the current hour
+        map.addSource('stop-heat', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } })
+        map.addLayer({
+          id: 'stop-heat', type: 'heatmap', source: 'stop-heat',
+          paint: {
+            'heatmap-weight': ['interpolate', ['linear'], ['get', 'n'], 0, 0, HEAT_MAX_DEPS, 1],
+            'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 10, 0.6, 15, 1.5],
+            'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 10, 8, 15, 30],
+            'heatmap-color': [
+              'interpolate', ['linear'], ['heatmap-density'],
+              0, 'rgba(0,0,0,0)', 0.2, '#1E3CFF', 0.45, '#00FFFF', 0.7, '#FFD700', 1, '#FF3030',
+            ],
+            'heatmap-opacity': 0.7,
+          },
         })
 
         // ── Stop pellets ───────────────────────────────
         onProgress('Colocando paradas…')
-        const pelletFeatures = stops.map(s => ({
-          type: 'Feature',
-          geometry: { type: 'Point', coordinates: s.coords },
-          properties: { id: s.id, name: s.name, eaten: 0 },
-        }))
-
-        map.addSource('pellets', {
-          type: 'geojson',
-          data: { type: 'FeatureCollection', features: pelletFeatures },
+        // Eaten pellets are feature-state, so the source is only rebuilt
+        // when lazily loaded lines bring new stops
+        const pelletData = () => ({
+          type: 'FeatureCollection',
+          features: stops.map(s => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: s.coords },
+            properties: { id: s.id, name: s.name, feed: s.feed },
+          })),
         })
-        map.addLayer({
+        const isEaten = ['boolean', ['feature-state', 'eaten'], false]
+
+        map.addSource('pellets', { type: 'geojson', data: pelletData(), promoteId: 'id' })
+        addFeedLayers({
           id: 'pellets-glow', type: 'circle', source: 'pellets',
           paint: {
             'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 3, 14, 7, 17, 11],
             'circle-color': '#FFD700',
-            'circle-opacity': ['case', ['==', ['get', 'eaten'], 1], 0, 0.15],
+            'circle-opacity': ['case', isEaten, 0, 0.15],
             'circle-blur': 1,
           },
         })
-        map.addLayer({
+        const pelletLayers = addFeedLayers({
           id: 'pellets-dot', type: 'circle', source: 'pellets',
           paint: {
             'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 1.8, 14, 4, 17, 6],
             'circle-color': '#FFD700',
-            'circle-opacity': ['case', ['==', ['get', 'eaten'], 1], 0, 0.75],
+            'circle-opacity': ['case', isEaten, 0, 0.75],
+          },
+        })
+
+        // The stop whose departure board is open
+        map.addSource('board-stop', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } })
+        map.addLayer({
+          id: 'board-stop', type: 'circle', source: 'board-stop',
+          paint: {
+            'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 6, 14, 10, 17, 14],
+            'circle-color': 'rgba(0,0,0,0)',
+            'circle-stroke-color': '#00FFFF',
+            'circle-stroke-width': 2,
           },
         })
 
-        // Build stop → routes index for popup
+        // Build stop → routes index (line count per stop, for the game's power pellets)
         const stopRoutes = {}
-        for (const r of routes) {
+        const indexStops = r => {
           for (const sh of r.shapes) {
             for (const s of sh.stops) {
               if (!stopRoutes[s.id]) stopRoutes[s.id] = new Set()
@@ -231,21 +369,20 @@ export default function GtfsMap({
             }
           }
         }
+        routes.forEach(indexStops)
 
-        map.on('click', 'pellets-dot', e => {
+        // A stop opens its departure board (drawn by the App, computed below)
+        map.on('click', pelletLayers, e => {
           const f = e.features[0]
-          const sid = f.properties.id
-          const rNames = stopRoutes[sid] ? [...stopRoutes[sid]].sort((a,b) => a.localeCompare(b, undefined, {numeric:true})) : []
-          const routeList = rNames.length
-            ? `<div style="margin-top:6px;display:flex;flex-wrap:wrap;gap:3px">${rNames.map(n => `<span style="background:#333;color:#00FFFF;padding:2px 5px;border-radius:3px;font-size:7px">${n}</span>`).join('')}</div>`
-            : ''
-          new mapboxgl.Popup({ closeOnClick: true, maxWidth: '260px' })
-            .setLngLat(f.geometry.coordinates)
-            .setHTML(`<div style="color:#FFD700;font-size:10px">🟡 ${f.properties.name}</div>${routeList}`)
-            .addTo(map)
+          stateRef.current.onStopSelect?.({ id: f.properties.id, name: f.properties.name })
         })
-        map.on('mouseenter', 'pellets-dot', () => { map.getCanvas().style.cursor = 'pointer' })
-        map.on('mouseleave', 'pellets-dot', () => { map.getCanvas().style.cursor = '' })
+        // Right click: how far you get from it by bus
+        map.on('contextmenu', pelletLayers, e => {
+          const f = e.features[0]
+          stateRef.current.onIsoStop?.({ id: f.properties.id, name: f.properties.name })
+        })
+        map.on('mouseenter', pelletLayers, () => { map.getCanvas().style.cursor = 'pointer' })
+        map.on('mouseleave', pelletLayers, () => { map.getCanvas().style.cursor = '' })
 
         // ── Bus sources + layers ───────────────────────
         map.addSource('buses', {
@@ -253,17 +390,34 @@ export default function GtfsMap({
           data: { type: 'FeatureCollection', features: [] },
         })
 
-        map.addLayer({
+        // Realtime vehicles (GTFS-RT) share the source, marked `live`, and
+        // wear a ring so they stand apart from the simulated ones
+        const isLive = ['boolean', ['get', 'live'], false]
+        addFeedLayers({
+          id: 'bus-live', type: 'circle', source: 'buses',
+          paint: {
+            'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 6, 14, 10, 17, 15],
+            'circle-color': '#00FF7F',
+            'circle-opacity': ['case', isLive, 0.12, 0],
+            'circle-stroke-color': '#00FF7F',
+            'circle-stroke-width': 1.5,
+            'circle-stroke-opacity': ['case', isLive, 0.9, 0],
+          },
+        })
+
+        const busLayers = addFeedLayers({
           id: 'bus-icon', type: 'symbol', source: 'buses',
           layout: {
             'icon-image': ['get', 'icon'],
+            'icon-rotate': ['get', 'rotate'],
+            'icon-rotation-alignment': 'viewport',
             'icon-size': ['interpolate', ['linear'], ['zoom'], 10, 0.35, 14, 0.55, 17, 0.8],
             'icon-allow-overlap': true,
             'icon-ignore-placement': true,
           },
         })
 
-        map.addLayer({
+        addFeedLayers({
           id: 'bus-label', type: 'symbol', source: 'buses',
           layout: {
             'text-field': ['get', 'lineNumber'],
@@ -274,40 +428,759 @@ export default function GtfsMap({
             'text-offset': [0, 1.8],
           },
           paint: {
-            'text-color': '#FFD700',
+            'text-color': ['case', isLive, '#00FF7F', '#FFD700'],
             'text-halo-color': '#000',
             'text-halo-width': 1.5,
           },
         })
 
-        map.on('click', 'bus-icon', e => {
+        map.on('click', busLayers, e => {
           const p = e.features[0].properties
-          new mapboxgl.Popup({ closeOnClick: true })
+          const popup = new mapboxgl.Popup({ closeOnClick: true })
             .setLngLat(e.features[0].geometry.coordinates)
             .setHTML(`
               <div style="line-height:1.8">
                 <div style="color:#FFD700;font-size:12px">🟡 Línea ${p.lineNumber}</div>
                 <div style="color:#bbb;font-size:8px;margin-top:2px">${p.routeName}</div>
                 <div style="color:#777;font-size:7px;margin-top:2px">→ ${p.headsign}</div>
+                ${p.live ? `<div style="color:#00FF7F;font-size:7px;margin-top:2px">📡 En vivo${p.vehicle ? ` · coche ${p.vehicle}` : ''}</div>` : ''}
+                ${p.key ? '<button class="popup-follow">🎯 Seguir</button>' : ''}
               </div>`)
             .addTo(map)
+          // Simulated vehicles can be followed (their key is stable for the whole trip)
+          popup.getElement().querySelector('.popup-follow')?.addEventListener('click', () => {
+            popup.remove()
+            stateRef.current.onFollow?.(p.key)
+          })
         })
-        map.on('mouseenter', 'bus-icon', () => { map.getCanvas().style.cursor = 'pointer' })
-        map.on('mouseleave', 'bus-icon', () => { map.getCanvas().style.cursor = '' })
+        map.on('mouseenter', busLayers, () => { map.getCanvas().style.cursor = 'pointer' })
+        map.on('mouseleave', busLayers, () => { map.getCanvas().style.cursor = '' })
+
+        // ── Game layers (empty until a game starts) ────
+        addGameIcons(map)
+        const empty = { type: 'FeatureCollection', features: [] }
+        map.addSource('game-pellets', { type: 'geojson', data: empty })
+        map.addSource('game-player', { type: 'geojson', data: empty })
+        map.addLayer({
+          id: 'game-pellets', type: 'circle', source: 'game-pellets',
+          paint: {
+            'circle-radius': ['interpolate', ['linear'], ['zoom'],
+              12, ['case', ['get', 'power'], 5, 2], 16, ['case', ['get', 'power'], 12, 5]],
+            'circle-color': '#FFB8AE',
+            'circle-opacity': 0.95,
+          },
+        }, feedLayer('bus-icon', feeds[0].id))
+        map.addLayer({
+          id: 'game-player', type: 'symbol', source: 'game-player',
+          layout: {
+            'icon-image': ['get', 'icon'],
+            'icon-rotate': ['get', 'rotate'],
+            'icon-rotation-alignment': 'viewport',
+            'icon-size': ['interpolate', ['linear'], ['zoom'], 12, 0.5, 16, 0.9],
+            'icon-allow-overlap': true,
+            'icon-ignore-placement': true,
+          },
+        })
+
+        // ── Bunching and gap incidents ─────────────────
+        // A link between the two vehicles of each incident; bunched ones
+        // also get a frightened ghost over them (the "ghost collision")
+        map.addSource('incidents', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } })
+        const incidentColor = ['match', ['get', 'type'], 'bunch', INCIDENT_COLORS.bunch, INCIDENT_COLORS.gap]
+        map.addLayer({
+          id: 'incident-link', type: 'line', source: 'incidents',
+          filter: ['==', ['geometry-type'], 'LineString'],
+          paint: {
+            'line-color': incidentColor,
+            'line-width': 3,
+            'line-opacity': 0.8,
+            'line-dasharray': ['match', ['get', 'type'], 'gap', ['literal', [2, 2]], ['literal', [1, 0]]],
+          },
+        })
+        map.addLayer({
+          id: 'incident-ring', type: 'circle', source: 'incidents',
+          filter: ['==', ['geometry-type'], 'Point'],
+          paint: {
+            'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 7, 14, 14, 17, 20],
+            'circle-color': 'rgba(0,0,0,0)',
+            'circle-stroke-color': incidentColor,
+            'circle-stroke-width': 2,
+          },
+        })
+        map.addLayer({
+          id: 'incident-ghost', type: 'symbol', source: 'incidents',
+          filter: ['all', ['==', ['geometry-type'], 'Point'], ['==', ['get', 'type'], 'bunch']],
+          layout: {
+            'icon-image': 'icon-fright-idle',
+            'icon-size': ['interpolate', ['linear'], ['zoom'], 10, 0.3, 16, 0.5],
+            'icon-offset': [0, -48],
+            'icon-allow-overlap': true,
+            'icon-ignore-placement': true,
+          },
+        })
+
+        // ── Lazy line loading ──────────────────────────
+        // Lines arrive one file at a time; they are folded into the map
+        // sources in batches, and the loading screen only waits for the
+        // lines inside the initial viewport.
+        const load = { done: 0, total: 0 }
+        let routesVersion = 0 // bumped whenever a batch of lines arrives
+        let batch = []
+        let flushTimer = null
+        let ready = false
+        const viewport = new Set(routes
+          .filter(r => !r.loaded && bboxInView(r.bbox, map.getBounds()))
+          .map(r => r.id))
+
+        const flush = () => {
+          flushTimer = null
+          const loaded = batch.filter(r => r.loaded)
+          batch = []
+          indexNewStops()
+          sendRoutes(loaded)
+          for (const r of loaded) {
+            addRouteFeatures(r, routes.indexOf(r))
+            indexStops(r)
+          }
+          map.getSource('routes')?.setData({ type: 'FeatureCollection', features: routeFeatures })
+          map.getSource('pellets')?.setData(pelletData())
+          dirty = true
+          routesVersion++
+          onRoutesLoaded([...routes])
+          if (!ready && viewport.size === 0) {
+            ready = true
+            onReady()
+          }
+        }
+
+        const loader = createRouteLoader({ feeds, routes, stops, schedule }, {
+          getBounds: () => map.getBounds(),
+          onLoaded: (route, done, total) => {
+            Object.assign(load, { done, total })
+            viewport.delete(route.id)
+            if (!ready) onProgress(`Cargando líneas ${done}/${total}…`)
+            batch.push(route)
+            flushTimer ??= setTimeout(flush, LOAD_FLUSH_MS)
+          },
+        })
+        loaderRef.current = loader
+        load.total = loader.total
+        cleanup.push(() => { loader.stop(); clearTimeout(flushTimer) })
+        if (stateRef.current.selectedRoute) loader.request(stateRef.current.selectedRoute.id)
+        loader.start()
+
+        // ── Realtime (GTFS-RT) ─────────────────────────
+        // Polled only in live mode. Live vehicles are matched to routes by
+        // their raw route_id; trip delays go to the worker so trips with no
+        // position in the feed still run late or early.
+        const routeIdx = new Map(routes.map((r, i) => [r.id, i]))
+        const rtFeed = RT_CONFIG?.feed
+        const resolveRoute = raw => raw == null ? -1 : routeIdx.get(`${rtFeed}:${raw}`) ?? routeIdx.get(raw) ?? -1
+        // Trip ids are namespaced like the route ids they belong to
+        const tripKey = (route, raw) => `${route.id}/${route.id.startsWith(`${rtFeed}:`) ? `${rtFeed}:${raw}` : raw}`
+        let liveVehicles = [] // [{ id, label, ri, direction, dep, lon, lat, bearing, moving }]
+        let delaysSent = false
+
+        const onRealtimeUpdate = update => {
+          const prev = new Map(liveVehicles.map(v => [v.id, v]))
+          liveVehicles = update.vehicles.map(v => {
+            const old = prev.get(v.id)
+            const moved = old && (old.lon !== v.lon || old.lat !== v.lat)
+            return {
+              id: v.id,
+              label: v.label,
+              ri: resolveRoute(v.routeId),
+              direction: v.directionId,
+              dep: v.startTime,
+              lon: v.lon,
+              lat: v.lat,
+              // Feeds without a bearing: head from the previous fix
+              bearing: v.bearing ?? (moved ? headingBetween([old.lon, old.lat], [v.lon, v.lat]) : old?.bearing ?? 0),
+              moving: v.speed != null ? v.speed > 0.5 : !v.stopped,
+            }
+          })
+
+          const delays = [], canceled = []
+          for (const u of update.tripUpdates) {
+            const route = routes[resolveRoute(u.routeId)]
+            if (!route) continue
+            const keys = []
+            if (u.tripId) keys.push(tripKey(route, u.tripId))
+            if (u.startTime != null) keys.push(`${route.id}@${u.startTime}`)
+            for (const key of keys) {
+              if (u.canceled) canceled.push(key)
+              else delays.push([key, u.delay])
+            }
+          }
+          worker.postMessage({ type: 'delays', delays, canceled })
+          delaysSent = true
+          dirty = true // the next frame redraws with the new live vehicles
+          stateRef.current.onRealtime?.(update)
+        }
+
+        if (RT_CONFIG) {
+          const client = createRealtimeClient(RT_CONFIG, { onUpdate: onRealtimeUpdate })
+          realtimeRef.current = client
+          cleanup.push(() => { client.stop(); realtimeRef.current = null })
+          if (stateRef.current.live) client.start()
+        }
 
         // ── Animation loop ─────────────────────────────
-        const eatenAt = {}
-        let lastHlId = null
+        // Every frame hands the current time to the worker (unless it is
+        // still busy with the previous one); the latest answer is drawn on
+        // the BUS_UPDATE_MS / PELLET_UPDATE_MS clocks.
+        const eatenAt = new Map() // pellet index → simulated second when last eaten
+        const shownEaten = new Set()
+        let lastHlKey = null
+        let lastBoardKey = null
+        let lastPlanKey = null
+        let lastIsoKey = null
+        let lastIsoBase = null
+        let lastIsoUpdate = 0
+        let lastAnKey = null
+        let lastSpanKey = null
+        let lastHeatKey = null
+        let stopHeat = null // stopId → departures per hour
+        let heatHour = -1
+        let timetable = null
+        let timetableKey = null
+        let lastIncidentCheck = 0
+        let incidentsShown = false
+        let lastBunchKey = null
+
+        /**
+         * Journey-planner timetable of a day: built from the lines loaded
+         * so far, and once more when the last one has arrived — not on
+         * every batch, the build is too heavy for that
+         */
+        const timetableFor = day => {
+          const key = `${day}|${load.done >= load.total}`
+          if (key !== timetableKey) {
+            timetableKey = key
+            timetable = buildTimetable(routes, stops, { days: serviceDays(calendar, day), schedule })
+          }
+          return timetable
+        }
+        let sentDate = null
+        let sentKey = null
+        let sentT = null
+        let busy = false
+        let frame = null
+        let drawnFrame = null
+        let lastBusDraw = 0
+        let lastPelletDraw = 0
+
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'positions') {
+            stateRef.current.onExport?.({ run: data.run, done: data.done, total: data.total, blob: data.blob })
+            return
+          }
+          busy = false
+          frame = data
+        }
+
+        function drawBuses(sel, now) {
+          const { buses } = frame
+          const features = []
+          const mapBearing = map.getBearing()
+          const { live, hiddenFeeds: hidden, follow } = stateRef.current
+          const placed = [] // what the incident check sees: { key, ri, shapeIdx, direction, lon, lat }
+          const liveShown = live && !play
+            ? liveVehicles.filter(v => !hidden?.includes(routes[v.ri]?.feed ?? rtFeed))
+            : []
+
+          // Simulated vehicles whose trip is in the live feed are not drawn
+          let replaced = null
+          if (liveShown.length) {
+            const sim = []
+            for (let k = 0; k < buses.length; k += BUS_STRIDE) {
+              sim.push({
+                ri: buses[k],
+                direction: routes[buses[k]].shapes[buses[k + 1]]?.direction ?? 0,
+                dep: buses[k + 6], lon: buses[k + 2], lat: buses[k + 3],
+              })
+            }
+            replaced = matchLive(sim, liveShown.filter(v => v.ri >= 0))
+          }
+
+          for (let k = 0; k < buses.length; k += BUS_STRIDE) {
+            if (replaced?.has(k / BUS_STRIDE)) continue
+            const ri = buses[k], route = routes[ri]
+            const sh = route.shapes[buses[k + 1]]
+            const kind = play ? 'ghost' : sprites[route.feed].kind
+            const { pose, rotate } = vehiclePose(kind, buses[k + 4] - mapBearing, buses[k + 5] === 1, now)
+            const key = busKey(buses, k)
+            const hl = (sel && route.id === sel.id) || key === follow ? '-hl' : ''
+            const icon = play ? ghostIcon(buses, k, pose, now) : `icon-${route.feed}${hl}-${pose}`
+            if (!icon) continue
+            placed.push({ key, ri, shapeIdx: buses[k + 1], direction: sh.direction ?? 0, lon: buses[k + 2], lat: buses[k + 3] })
+            features.push({
+              type: 'Feature',
+              geometry: { type: 'Point', coordinates: [buses[k + 2], buses[k + 3]] },
+              properties: {
+                lineNumber: route.shortName,
+                routeName: route.longName,
+                headsign: sh.headsign || '',
+                direction: sh.direction ?? 0,
+                color: route.color || routeColor(ri),
+                feed: route.feed,
+                icon,
+                rotate,
+                key: play ? null : key,
+              },
+            })
+          }
+
+          for (const v of liveShown) {
+            const route = routes[v.ri]
+            const feed = route?.feed ?? (sprites[rtFeed] ? rtFeed : feeds[0].id)
+            const { pose, rotate } = vehiclePose(sprites[feed].kind, v.bearing - mapBearing, v.moving, now)
+            const hl = sel && route?.id === sel.id ? '-hl' : ''
+            const sh = route?.shapes.find(s => s.direction === v.direction)
+            placed.push({ key: `live:${v.id}`, ri: v.ri, direction: v.direction, lon: v.lon, lat: v.lat })
+            features.push({
+              type: 'Feature',
+              geometry: { type: 'Point', coordinates: [v.lon, v.lat] },
+              properties: {
+                lineNumber: route?.shortName ?? '?',
+                routeName: route?.longName ?? '',
+                headsign: sh?.headsign || '',
+                direction: v.direction ?? 0,
+                color: route?.color || routeColor(Math.max(0, v.ri)),
+                feed,
+                icon: `icon-${feed}${hl}-${pose}`,
+                rotate,
+                live: true,
+                vehicle: v.label || v.id,
+              },
+            })
+          }
+
+          map.getSource('buses')?.setData({ type: 'FeatureCollection', features })
+          onStats({
+            routes: frame.routes, buses: features.length, live: liveShown.length,
+            loaded: load.done, total: load.total,
+          })
+          if (follow) drawFollow(follow, now)
+          drawIncidents(placed, now)
+        }
+
+        /** Bunched and far-apart pairs among the drawn vehicles, at most every INCIDENT_CHECK_MS */
+        function drawIncidents(placed, now) {
+          const cfg = play ? null : stateRef.current.bunching
+          if (!cfg) {
+            if (incidentsShown) {
+              map.getSource('incidents')?.setData({ type: 'FeatureCollection', features: [] })
+              incidentsShown = false
+            }
+            return
+          }
+          if (incidentsShown && now - lastIncidentCheck < INCIDENT_CHECK_MS) return
+          lastIncidentCheck = now
+          incidentsShown = true
+
+          const { simTime: t, simDate: day } = stateRef.current
+          const incidents = detectIncidents(placed, routes, {
+            t, days: serviceDays(calendar, day), schedule, fraction: cfg.fraction, gapFactor: cfg.gap,
+          })
+          const features = []
+          for (const inc of incidents) {
+            const properties = { type: inc.type }
+            features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: inc.coords }, properties })
+            for (const c of inc.coords) features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: c }, properties })
+          }
+          map.getSource('incidents')?.setData({ type: 'FeatureCollection', features })
+          stateRef.current.onIncidents?.(incidents.map(inc => {
+            const route = routes[inc.ri], sh = route.shapes[inc.shapeIdx]
+            return {
+              ...inc,
+              lineNumber: route.shortName,
+              color: route.color || routeColor(inc.ri),
+              headsign: sh?.headsign || '',
+            }
+          }))
+        }
+
+        // ── Follow a vehicle ───────────────────────────
+        // The worker answers every frame with the followed trip's progress
+        // and stop times; the camera stays on the vehicle (unless the user
+        // drags the map, which stops following) and the App gets the panel
+        // data. A trip that leaves the road ends the follow.
+        let followed = null   // key the camera is on
+        let followEaseUntil = 0
+
+        function drawFollow(key, now) {
+          const f = frame.follow
+          if (f?.key !== key) return // the worker has not seen this key yet
+          if (f.ended) {
+            followed = null
+            stateRef.current.onFollowInfo?.({ key, ended: true })
+            return
+          }
+          if (followed !== key) {
+            followed = key
+            followEaseUntil = now + FOLLOW_EASE_MS
+            map.easeTo({ center: [f.lon, f.lat], zoom: Math.max(map.getZoom(), FOLLOW_ZOOM), duration: FOLLOW_EASE_MS })
+          } else if (now > followEaseUntil) {
+            map.setCenter([f.lon, f.lat])
+          }
+
+          const [ri, si] = key.split('/').map(Number)
+          const route = routes[ri], sh = route.shapes[si]
+          stateRef.current.onFollowInfo?.({
+            key,
+            ended: false,
+            lineNumber: route.shortName,
+            routeName: route.longName,
+            color: route.color || routeColor(ri),
+            headsign: sh.headsign || '',
+            progress: f.progress,
+            dep: f.dep,
+            end: f.dep + (f.delay || 0) + f.dur,
+            delay: f.delay || 0,
+            atStop: f.stopIdx,
+            stops: f.stops.map(s => ({ id: sh.stops[s.stopIdx].id, name: sh.stops[s.stopIdx].name, time: s.time })),
+          })
+        }
+
+        map.on('dragstart', e => {
+          if (e.originalEvent && stateRef.current.follow) stateRef.current.onFollow?.(null)
+        })
+
+        // A stop stays eaten PELLET_RESPAWN_MS of real time at the speed
+        // being played (a video's own), counted in simulated seconds so a
+        // jump respawns everything
+        const pelletWindow = () => Math.abs(rec ? rec.speed : stateRef.current.speed) * PELLET_RESPAWN_MS / 1000
+
+        function drawPellets() {
+          if (!frame) return
+          // Stops a vehicle is dwelling at (or called at since the last frame) stay eaten, even while paused
+          for (const i of frame.eaten) eatenAt.set(i, frame.t)
+          for (const [i, at] of eatenAt) {
+            const eaten = Math.abs(frame.t - at) < pelletWindow()
+            if (eaten === shownEaten.has(i)) continue
+            map.setFeatureState({ source: 'pellets', id: stops[i].id }, { eaten })
+            if (eaten) shownEaten.add(i)
+            else { shownEaten.delete(i); eatenAt.delete(i) }
+          }
+        }
+
+        // ── Game mode ──────────────────────────────────
+        // Buses become the ghosts (other modes are hidden), stops the
+        // pellets. `game` from the App carries { active, run, heading };
+        // a new `run` starts a new game.
+        const busFeeds = feeds.filter(f => f.mode === 3).map(f => f.id)
+        const gameHidden = feeds.map(f => f.id).filter(id => !busFeeds.includes(id))
+        let play = null   // createGame() instance
+        let playRun = null
+        let playLast = 0  // performance.now() of the previous update
+        let reported = null
+
+        const startLevel = () => {
+          const district = levelDistrict(play.state.level)
+          play.startLevel(buildLevel({ routes, stops, stopRoutes }, district))
+          map.fitBounds(district.bbox, { padding: 40, duration: 1000 })
+          drawGamePellets()
+        }
+        const drawGamePellets = () => {
+          map.getSource('game-pellets')?.setData({
+            type: 'FeatureCollection',
+            features: (play?.pellets() || []).map(p => ({
+              type: 'Feature',
+              geometry: { type: 'Point', coordinates: p.coords },
+              properties: { power: p.power },
+            })),
+          })
+        }
+        const report = now => {
+          const st = play.state
+          const info = {
+            status: st.status, score: st.score, lives: st.lives, level: st.level,
+            district: levelDistrict(st.level).name,
+            pellets: play.pellets().length,
+            fright: play.frightened(now),
+          }
+          const key = JSON.stringify(info)
+          if (key !== reported) {
+            reported = key
+            stateRef.current.onGame?.(info)
+          }
+        }
+
+        function updateGame(g, now) {
+          if (g?.active && g.run !== playRun) {
+            playRun = g.run
+            play = createGame()
+            playLast = now
+            startLevel()
+            map.keyboard.disable()
+            syncVisibility()
+            drawnFrame = null
+          } else if (!g?.active && play) {
+            play = null
+            playRun = null
+            reported = null
+            map.getSource('game-pellets')?.setData(empty)
+            map.getSource('game-player')?.setData(empty)
+            map.keyboard.enable()
+            syncVisibility()
+            drawnFrame = null
+            return
+          }
+          if (!play) return
+
+          play.steer(g.heading ?? null)
+          const ghosts = []
+          const buses = frame?.buses || []
+          for (let k = 0; k < buses.length; k += BUS_STRIDE) {
+            ghosts.push({ key: busKey(buses, k), lon: buses[k + 2], lat: buses[k + 3] })
+          }
+          const events = play.update(Math.min(0.1, (now - playLast) / 1000), ghosts, now)
+          playLast = now
+          if (events.some(e => e.type === 'pellet' || e.type === 'power')) drawGamePellets()
+          if (events.some(e => e.type === 'clear')) startLevel()
+
+          const pl = play.player()
+          const { pose, rotate } = vehiclePose('pacman', pl.bearing - map.getBearing(), pl.moving && play.state.status === 'playing', now)
+          map.getSource('game-player')?.setData({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [pl.lon, pl.lat] },
+            properties: { icon: `icon-player-${pose}`, rotate },
+          })
+          report(now)
+        }
+
+        /** Stable key of the vehicle at offset k of a frame buffer */
+        const busKey = (buses, k) => `${buses[k]}/${buses[k + 1]}/${buses[k + 6]}`
+
+        /** Icon for a bus drawn as a ghost in game mode (null once eaten) */
+        const ghostIcon = (buses, k, pose, now) => {
+          if (!play.frightened(now)) return `icon-ghost${buses[k] % GAME_GHOSTS.length}-${pose}`
+          if (play.ghostsEaten().has(busKey(buses, k))) return null
+          const flash = play.state.frightUntil - now < FRIGHT_FLASH_MS && Math.floor(now / 200) % 2
+          return `icon-fright${flash ? '-end' : ''}-${pose}`
+        }
+
+        // ── Export ─────────────────────────────────────
+        // A video renders its time window frame by frame: while it runs,
+        // `rec.t` stands in for the App's clock, tick() draws the worker's
+        // frame for it as soon as it arrives, and once the map has settled
+        // its canvas goes into the file with the HUD clock on top. Position
+        // time series are written by the worker. A new `run` starts a job;
+        // withdrawing it cancels a video being rendered.
+        let exportRun = null
+        let rec = null // { t, speed, drawn, cancelled } while a video renders
+
+        /** Resolves once `done()` holds, checked every animation frame */
+        const until = done => new Promise(resolve => {
+          const check = () => (done() ? resolve() : requestAnimationFrame(check))
+          check()
+        })
+
+        /** Lets the map render what was drawn (tiles included), copying every render into `ctx` */
+        const settle = ctx => new Promise(resolve => {
+          const copy = () => ctx.drawImage(map.getCanvas(), 0, 0)
+          const done = () => {
+            clearTimeout(timer)
+            map.off('render', copy)
+            map.off('idle', done)
+            resolve()
+          }
+          const timer = setTimeout(done, EXPORT_SETTLE_MS)
+          map.on('render', copy)
+          map.once('idle', done)
+          map.triggerRepaint()
+        })
+
+        async function recordVideo(job) {
+          const src = map.getCanvas()
+          const canvas = document.createElement('canvas')
+          canvas.width = src.width
+          canvas.height = src.height
+          const ctx = canvas.getContext('2d')
+          const step = job.speed / job.fps
+          const total = Math.floor((job.to - job.from) / step) + 1
+          const report = msg => stateRef.current.onExport?.({ run: job.run, ...msg })
+          const mine = rec = { t: job.from, speed: job.speed, drawn: false, cancelled: false }
+          let recorder = null
+          try {
+            recorder = createRecorder(canvas, job)
+            for (let i = 0; i < total && !mine.cancelled; i++) {
+              mine.t = job.from + i * step
+              mine.drawn = false
+              await until(() => mine.drawn || mine.cancelled)
+              if (mine.cancelled) break
+              await settle(ctx)
+              // The wall clock: past midnight, the next calendar day
+              const date = mine.t >= DAY_SEC ? addDays(job.date, 1) : job.date
+              drawClock(ctx, gtfsTime(mine.t % DAY_SEC), `${dayLabel(date)} ${date.split('-').reverse().join('/')}`)
+              await recorder.addFrame()
+              report({ done: i + 1, total })
+            }
+            if (mine.cancelled) recorder.cancel()
+            else report({ done: total, total, blob: await recorder.finish() })
+          } catch (err) {
+            recorder?.cancel()
+            report({ error: err.message })
+          }
+          if (rec === mine) rec = null
+          dirty = true
+        }
 
         function tick() {
           if (cancelled) return
-          const { simTime: t, selectedRoute: sel } = stateRef.current
+          const { simTime, simDate: day, selectedRoute: sel, game: g } = stateRef.current
+          const hidden = g?.active ? gameHidden : stateRef.current.hiddenFeeds
+
+          // Export jobs: a new run starts one, and while a video renders its
+          // frame's second is the clock
+          const job = g?.active ? null : stateRef.current.exportJob
+          if ((job?.run ?? null) !== exportRun) {
+            exportRun = job?.run ?? null
+            if (rec) rec.cancelled = true
+            rec = null
+            if (job?.kind === 'video') recordVideo(job)
+            else if (job?.kind === 'positions') {
+              worker.postMessage({
+                type: 'positions', run: job.run, from: job.from, to: job.to, step: job.step, format: job.format,
+                date: job.date, hidden: hidden || [],
+              })
+            }
+          }
+          const t = rec ? rec.t : simTime
+
+          // Services running on the simulated day (re-resolved when the date changes)
+          if (day !== sentDate) {
+            // Rolling over to the next (or back to the previous) day puts a
+            // followed trip's departure on the new day's clock
+            const follow = stateRef.current.follow
+            const shift = !sentDate ? 0 : day === addDays(sentDate, 1) ? DAY_SEC : day === addDays(sentDate, -1) ? -DAY_SEC : 0
+            if (follow && shift) {
+              const [ri, shapeIdx, dep] = follow.split('/')
+              stateRef.current.follow = `${ri}/${shapeIdx}/${Number(dep) - shift}`
+              stateRef.current.onFollow?.(stateRef.current.follow)
+            }
+            sentDate = day
+            worker.postMessage({ type: 'date', iso: day })
+            dirty = true
+          }
+
+          // Departure board: the whole day at the stop, recomputed when the
+          // stop, the date or the loaded lines change
+          const board = stateRef.current.boardStop
+          const boardKey = board ? `${board}|${day}|${routesVersion}` : null
+          if (boardKey !== lastBoardKey) {
+            lastBoardKey = boardKey
+            const stop = board && stops[stopIdx.get(board)]
+            map.getSource('board-stop')?.setData({
+              type: 'FeatureCollection',
+              features: stop ? [{ type: 'Feature', geometry: { type: 'Point', coordinates: stop.coords }, properties: {} }] : [],
+            })
+            if (stop) {
+              stateRef.current.onBoard?.({
+                stopId: board,
+                name: stop.name,
+                complete: load.done >= load.total,
+                lines: stopSchedule(routes, board, { days: serviceDays(calendar, day), schedule }),
+              })
+            }
+          }
+
+          // Journey planner: the plan is re-run once every line has arrived
+          const req = stateRef.current.plan
+          const planKey = req ? `${req.run}|${load.done >= load.total}` : null
+          if (planKey !== lastPlanKey) {
+            lastPlanKey = planKey
+            if (req) {
+              stateRef.current.onPlan?.({
+                run: req.run,
+                complete: load.done >= load.total,
+                itineraries: planJourney(timetableFor(req.day), req.from, req.to, req.t),
+              })
+            }
+          }
+
+          // Reachability from a stop, once per simulated minute but at most
+          // every ISO_UPDATE_MS (a new stop or day is drawn at once)
+          const iso = g?.active ? null : stateRef.current.isoStop
+          const isoBase = iso ? `${iso.id}|${day}` : null
+          const isoKey = iso ? `${isoBase}|${Math.floor(t / 60)}|${load.done >= load.total}` : null
+          if (isoKey !== lastIsoKey && (isoBase !== lastIsoBase || performance.now() - lastIsoUpdate >= ISO_UPDATE_MS)) {
+            lastIsoKey = isoKey
+            lastIsoBase = isoBase
+            lastIsoUpdate = performance.now()
+            const reached = iso ? reach(timetableFor(day), iso.id, Math.floor(t / 60) * 60, ISO_LIMITS[ISO_LIMITS.length - 1]) : []
+            map.getSource('isochrone')?.setData({ type: 'FeatureCollection', features: reachAreas(reached, ISO_LIMITS) })
+            if (iso) {
+              stateRef.current.onIsochrone?.({
+                stopId: iso.id,
+                bands: ISO_LIMITS.map((l, i) => ({
+                  minutes: l / 60, color: ISO_COLORS[i], stops: reached.filter(r => r.secs < l).length,
+                })),
+              })
+            }
+          }
+
+          // First departure of the day, for the App's "first bus" jump
+          const spanKey = `${day}|${routesVersion}`
+          if (spanKey !== lastSpanKey) {
+            lastSpanKey = spanKey
+            stateRef.current.onFirstDeparture?.(firstDeparture(routes, { services: activeServices(calendar, day), schedule }))
+          }
+
+          // Analytics panel: the day's figures per date and set of loaded lines
+          const an = g?.active ? null : stateRef.current.analytics
+          const anKey = an ? `${day}|${routesVersion}` : null
+          if (anKey !== lastAnKey) {
+            lastAnKey = anKey
+            if (an) {
+              stateRef.current.onAnalytics?.({
+                day,
+                complete: load.done >= load.total,
+                ...serviceAnalytics(routes, { services: activeServices(calendar, day), schedule }),
+              })
+            }
+          }
+
+          // Departures heatmap: per stop and hour for the day (only the
+          // selected line's, if any), redrawn as the hour changes
+          const heatKey = an?.heat ? `${day}|${routesVersion}|${sel?.id}` : null
+          if (heatKey !== lastHeatKey) {
+            lastHeatKey = heatKey
+            stopHeat = heatKey && stopDepartures(routes, {
+              services: activeServices(calendar, day), schedule, routeIds: sel && new Set([sel.id]),
+            })
+            heatHour = null
+          }
+          const hour = stopHeat ? Math.min(HOURS - 1, Math.floor(t / 3600)) : -1
+          if (hour !== heatHour) {
+            heatHour = hour
+            const features = []
+            if (stopHeat) {
+              for (const [id, counts] of stopHeat) {
+                const s = stops[stopIdx.get(id)]
+                if (!s || !counts[hour]) continue
+                features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: s.coords }, properties: { n: counts[hour] } })
+              }
+            }
+            map.getSource('stop-heat')?.setData({ type: 'FeatureCollection', features })
+          }
 
-          // Update highlight when selection changes
-          if ((sel?.id ?? null) !== lastHlId) {
-            lastHlId = sel?.id ?? null
+          // Update highlight when selection changes (an itinerary wins over a line)
+          const it = stateRef.current.itinerary
+          const hlKey = it ? `it:${it.key}` : sel ? `${sel.id}:${sel.loaded}` : null
+          if (hlKey !== lastHlKey) {
+            lastHlKey = hlKey
             const hlF = []
-            if (sel) {
+            if (it) {
+              for (const leg of it.legs) {
+                hlF.push({
+                  type: 'Feature',
+                  geometry: { type: 'LineString', coordinates: leg.coords },
+                  properties: { walk: leg.kind === 'walk' },
+                })
+              }
+            } else if (sel) {
               for (const sh of sel.shapes) {
                 if (sh.coordinates.length >= 2) {
                   hlF.push({
@@ -319,76 +1192,68 @@ export default function GtfsMap({
             }
             const hs = map.getSource('highlight')
             if (hs) hs.setData({ type: 'FeatureCollection', features: hlF })
+            drawnFrame = null // re-tint the selected line's vehicles
           }
 
-          // Compute all active buses for current time
-          const features = []
-          const nowEaten = new Set()
-          let busCount = 0
-
-          routes.forEach((route, ri) => {
-            const geo = routeGeo[ri]
-            if (!geo) return
-
-            const abs = activeBuses(route, t)
-            for (const ab of abs) {
-              const p = Math.max(0.001, Math.min(0.999, ab.progress))
-              try {
-                const pt = turf.along(geo.line, p * geo.len, { units: 'kilometers' })
+          // New incident thresholds are applied at once, even while paused
+          const bunch = stateRef.current.bunching
+          const bunchKey = bunch ? `${bunch.fraction}|${bunch.gap}` : null
+          if (bunchKey !== lastBunchKey) {
+            lastBunchKey = bunchKey
+            lastIncidentCheck = 0
+            drawnFrame = null
+          }
 
-                const isSelected = sel && route.id === sel.id
-                features.push({
-                  type: 'Feature',
-                  geometry: pt.geometry,
-                  properties: {
-                    lineNumber: route.shortName,
-                    routeName: route.longName,
-                    headsign: route.shapes[0]?.headsign || '',
-                    color: route.color || routeColor(ri),
-                    icon: isSelected ? 'pacman-hl' : 'pacman',
-                  },
-                })
-                busCount++
-
-                // Eat nearby stops
-                const sh = route.shapes[0]
-                if (sh?.stops?.length) {
-                  const totalD = sh.stops[sh.stops.length - 1]?.dist || 1
-                  for (const s of sh.stops) {
-                    if (Math.abs(p - s.dist / totalD) < 0.015) nowEaten.add(s.id)
-                  }
-                }
-              } catch { /* skip */ }
-            }
-          })
+          // Trip delays only apply while the clock follows the live feed
+          if (delaysSent && !stateRef.current.live) {
+            worker.postMessage({ type: 'delays', delays: [], canceled: [] })
+            delaysSent = false
+            liveVehicles = []
+            dirty = true
+          }
 
-          // Push bus positions
-          const bs = map.getSource('buses')
-          if (bs) bs.setData({ type: 'FeatureCollection', features })
-          onStats({ routes: routes.length, buses: busCount })
+          // Ask for a new frame when anything it depends on changed
+          const follow = g?.active ? null : stateRef.current.follow
+          if (!follow) followed = null
+          const key = `${t}|${hidden?.join()}|${follow}`
+          if (!busy && (dirty || key !== sentKey)) {
+            busy = true
+            dirty = false
+            sentKey = key
+            // Stops passed since the last tick are swept, unless the clock jumped
+            const since = sentT != null && Math.abs(t - sentT) <= pelletWindow() ? sentT : null
+            sentT = t
+            worker.postMessage({ type: 'tick', t, since, hidden: hidden || [], follow })
+          }
 
-          // Pellet eating
           const now = performance.now()
-          for (const id of nowEaten) eatenAt[id] = now
-
-          if (Math.round(now / 16) % 12 === 0) {
-            const pf = stops.map(s => ({
-              type: 'Feature',
-              geometry: { type: 'Point', coordinates: s.coords },
-              properties: {
-                id: s.id, name: s.name,
-                eaten: (eatenAt[s.id] && now - eatenAt[s.id] < PELLET_RESPAWN) ? 1 : 0,
-              },
-            }))
-            const ps = map.getSource('pellets')
-            if (ps) ps.setData({ type: 'FeatureCollection', features: pf })
+          updateGame(g, now)
+          // An exported frame is drawn as soon as it arrives, pellets included
+          if (rec && !rec.drawn && frame?.t === rec.t) {
+            lastBusDraw = now
+            drawnFrame = frame
+            drawBuses(sel, now)
+            drawPellets()
+            rec.drawn = true
+          }
+          if (frame && frame !== drawnFrame && now - lastBusDraw >= BUS_UPDATE_MS) {
+            lastBusDraw = now
+            drawnFrame = frame
+            drawBuses(sel, now)
+          }
+          if (!play && now - lastPelletDraw >= PELLET_UPDATE_MS) {
+            lastPelletDraw = now
+            drawPellets()
           }
 
           animId = requestAnimationFrame(tick)
         }
 
         animId = requestAnimationFrame(tick)
-        onReady()
+        if (viewport.size === 0) {
+          ready = true
+          onReady()
+        }
       } catch (err) {
         console.error(err)
         onProgress('Error: ' + err.message)
@@ -398,6 +1263,7 @@ export default function GtfsMap({
     return () => {
       cancelled = true
       if (animId) cancelAnimationFrame(animId)
+      cleanup.forEach(fn => fn())
       map.remove()
       mapRef.current = null
     }
@@ -0,0 +1,111 @@
+// ── Simulation worker ───────────────────────────────────────
+// Runs the engine (src/utils/engine.js) off the main thread. Protocol (all
+// messages are { type, … }):
+//   in:  calendar { calendar }  — starts the engine, sent first
+//        date { iso }
+//        routes { routes: [{ ri, …route, shapes with stops: [{ idx, … }] }], schedule }
+//        delays { delays: [[key, seconds]], canceled: [key] }  — realtime trip updates
+//        tick { t, since, hidden, follow }
+//        positions { run, from, to, step, format, date, hidden }  — time-series export
+//   out: frame { t, buses, eaten, routes, follow }  — buffers are transferred
+//        positions { run, done, total, blob? }  — progress, then the file
+// `ri` is the page's route index and stop `idx` its pellet index, so
+// frames carry numbers only: BUS_STRIDE values per vehicle in `buses`,
+// pellet indices of stops being dwelt at in `eaten` — plus, when `since`
+// (the previous tick's time) is given, every stop called at between the
+// two, so fast or reverse playback does not skip any. `follow` is a vehicle
+// key ("ri/shapeIdx/dep"); the frame answers with that trip's progress and
+// stop times, or { key, ended: true } once it is no longer on the road.
+// A positions export samples every vehicle from `from` to `to` each `step`
+// seconds (utils/export.js) and answers with a Blob. It is written a
+// chunk at a time so ticks keep being answered in between; a new export
+// replaces one still running.
+
+import { createEngine } from './utils/engine'
+import { BUS_STRIDE } from './utils/sim'
+import { POSITION_FORMATS, formatPositions, sampleTimes } from './utils/export'
+
+const EXPORT_CHUNK_MS = 30 // export work between yields to waiting ticks
+
+let engine = createEngine()
+let date = null
+let exportJob = null
+
+function exportPositions(job) {
+  exportJob = job
+  const times = sampleTimes(job.from, job.to, job.step)
+  const parts = []
+  const chunk = () => {
+    if (exportJob !== job) return
+    // The engine follows the map's day, which may have moved on since the export began
+    engine.setDate(job.date)
+    const until = performance.now() + EXPORT_CHUNK_MS
+    while (parts.length < times.length && performance.now() < until) {
+      const i = parts.length, t = times[i]
+      parts.push(formatPositions(engine.getVehicles(t, { hidden: job.hidden }), t, job.date, job.format, i === 0))
+    }
+    engine.setDate(date)
+    if (parts.length < times.length) {
+      self.postMessage({ type: 'positions', run: job.run, done: parts.length, total: times.length })
+      setTimeout(chunk, 0)
+      return
+    }
+    exportJob = null
+    const blob = new Blob(parts, { type: POSITION_FORMATS[job.format].type })
+    self.postMessage({ type: 'positions', run: job.run, done: times.length, total: times.length, blob })
+  }
+  chunk()
+}
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'calendar':
+      engine = createEngine({ calendar: msg.calendar }, { date })
+      break
+    case 'date':
+      date = msg.iso
+      engine.setDate(date)
+      break
+    case 'routes':
+      engine.addRoutes(msg.routes, msg.schedule)
+      break
+    case 'delays':
+      engine.setDelays(new Map(msg.delays), new Set(msg.canceled))
+      break
+    case 'positions':
+      exportPositions(msg)
+      break
+    case 'tick': {
+      const vehicles = engine.getVehicles(msg.t, { hidden: msg.hidden })
+      const buses = new Float64Array(vehicles.length * BUS_STRIDE)
+      const eaten = new Set()
+      let follow = msg.follow ? { key: msg.follow, ended: true } : null
+      vehicles.forEach((v, i) => {
+        const route = engine.routes[v.routeIdx]
+        if (follow && `${route.source.ri}/${v.shapeIdx}/${v.dep}` === msg.follow) {
+          follow = {
+            key: msg.follow, ended: false,
+            lon: v.lon, lat: v.lat, progress: v.progress, stopIdx: v.stopIdx, dep: v.dep, dur: v.dur, delay: v.delay,
+            stops: engine.getTripStops(v).map(s => ({ stopIdx: s.stopIdx, time: s.time })),
+          }
+        }
+        buses.set([route.source.ri, v.shapeIdx, v.lon, v.lat, v.bearing, v.moving ? 1 : 0, v.dep], i * BUS_STRIDE)
+        const idx = v.stopIdx >= 0 ? route.shapes[v.shapeIdx].stops[v.stopIdx].idx : -1
+        if (idx >= 0) eaten.add(idx)
+      })
+      // Stops passed since the last tick, whichever way the clock runs
+      if (msg.since != null && msg.since !== msg.t) {
+        const t0 = Math.min(msg.since, msg.t), t1 = Math.max(msg.since, msg.t)
+        for (const e of engine.getStopEvents(t0, t1, { hidden: msg.hidden })) {
+          const idx = engine.routes[e.routeIdx].shapes[e.shapeIdx].stops[e.stopIdx].idx
+          if (idx >= 0) eaten.add(idx)
+        }
+      }
+      const hidden = msg.hidden || []
+      const routes = engine.routes.filter(r => !hidden.includes(r.feed)).length
+      const eatenBuf = Int32Array.from(eaten)
+      self.postMessage({ type: 'frame', t: msg.t, buses, eaten: eatenBuf, routes, follow }, [buses.buffer, eatenBuf.buffer])
+      break
+    }
+  }
+}
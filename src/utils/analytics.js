@@ -0,0 +1,155 @@
+// ── Service analytics ───────────────────────────────────────
+// Day-long figures from the same frequency bands and timetable trips the
+// simulation runs (sim.js `departures`): vehicles in service over the day,
+// the fleet each line needs and how often it runs, departures per stop
+// and hour for the heatmap, and when the first bus leaves. DOM-free, like
+// sim.js.
+
+import { departures, shapeIndex, stopTimeline } from './sim.js'
+import { serviceRuns } from './calendar.js'
+
+const DAY_END = 30 * 3600 // GTFS times run past midnight
+export const CURVE_STEP = 600 // seconds per sample of the service curve
+export const HOURS = DAY_END / 3600
+
+/** A route's trips of the day, without the duplicates of bands listed twice */
+function dayTrips(route, services, trips) {
+  const seen = new Set()
+  return departures(route, 0, DAY_END, services, trips).filter(d => {
+    if (seen.has(d.id)) return false
+    seen.add(d.id)
+    return true
+  })
+}
+
+/** Vehicles on the road at every CURVE_STEP of the day, from trips [{ dep, dur }] */
+function inService(trips) {
+  const n = DAY_END / CURVE_STEP
+  const diff = new Int32Array(n + 1)
+  for (const { dep, dur } of trips) {
+    const a = Math.max(0, Math.ceil(dep / CURVE_STEP))
+    const b = Math.min(n, Math.ceil((dep + dur) / CURVE_STEP))
+    if (a >= b) continue
+    diff[a]++
+    diff[b]--
+  }
+  const out = new Array(n)
+  let run = 0
+  for (let i = 0; i < n; i++) out[i] = run += diff[i]
+  return out
+}
+
+/** Most departures in one hour of one direction (the line's peak frequency) */
+function peakPerHour(route, trips) {
+  const counts = new Map()
+  let peak = 0
+  for (const d of trips) {
+    const key = `${route.shapes[d.shapeIdx]?.direction ?? 0}|${Math.floor(d.dep / 3600)}`
+    const n = (counts.get(key) || 0) + 1
+    counts.set(key, n)
+    if (n > peak) peak = n
+  }
+  return peak
+}
+
+/**
+ * Per-line service of the day whose `services` are given, for the routes
+ * whose shapes have loaded: { curve, lines } with `curve` the vehicles in
+ * service every CURVE_STEP seconds and `lines` [{ routeIdx, routeId,
+ * lineNumber, routeName, color, trips, perHour, headway, fleet, curve }]:
+ * `perHour` counts the departures of the busiest hour in one direction,
+ * `headway` is its mean gap in seconds, and `fleet` is trip duration ÷
+ * headway summed over the bands running at once (plus the timetable trips
+ * on the road), at its peak.
+ */
+export function serviceAnalytics(routes, { services, schedule } = {}) {
+  const total = new Array(DAY_END / CURVE_STEP).fill(0)
+  const lines = []
+
+  routes.forEach((route, routeIdx) => {
+    if (!route.shapes?.length) return
+    const sched = schedule?.[route.id]
+    const trips = dayTrips(route, services, sched)
+    if (!trips.length) return
+    const curve = inService(trips)
+    curve.forEach((v, i) => { total[i] += v })
+
+    // Band fleet: dur / headway while the band runs, timetable trips as they are
+    const timetabled = new Set((sched || []).map(trip => `${route.id}/${trip.tripId}`))
+    const need = inService(trips.filter(d => timetabled.has(d.id)))
+    const seenBands = new Set()
+    for (const band of route.frequencies || []) {
+      if (band.headway <= 0 || !serviceRuns(services, band.serviceId)) continue
+      const key = `${shapeIndex(route, band.shapeId, band.direction)}|${band.startSec}|${band.endSec}|${band.headway}`
+      if (seenBands.has(key)) continue
+      seenBands.add(key)
+      const per = (band.tripDur || route.tripDuration || 1800) / band.headway
+      const a = Math.floor(band.startSec / CURVE_STEP), b = Math.ceil(band.endSec / CURVE_STEP)
+      for (let i = Math.max(0, a); i < Math.min(need.length, b); i++) need[i] += per
+    }
+    const perHour = peakPerHour(route, trips)
+    let fleet = 0
+    for (const v of need) if (v > fleet) fleet = v
+
+    lines.push({
+      routeIdx, routeId: route.id, lineNumber: route.shortName, routeName: route.longName,
+      color: route.color, trips: trips.length, perHour, headway: Math.round(3600 / perHour),
+      fleet: Math.ceil(fleet - 1e-9), curve,
+    })
+  })
+  return { curve: total, lines }
+}
+
+/**
+ * Departures per stop and hour of the day: Map stopId → Uint16Array(HOURS).
+ * A shape's last stop is where its trips end, so it counts none. With
+ * `routeIds`, only those lines are counted.
+ */
+export function stopDepartures(routes, { services, schedule, routeIds } = {}) {
+  const out = new Map()
+  for (const route of routes) {
+    if (!route.shapes?.length || (routeIds && !routeIds.has(route.id))) continue
+    const timelines = route.shapes.map(sh => stopTimeline(sh))
+    for (const d of dayTrips(route, services, schedule?.[route.id])) {
+      const sh = route.shapes[d.shapeIdx], tl = timelines[d.shapeIdx]
+      if (!tl) continue
+      const scale = d.dur / tl.dur
+      for (let i = 0; i < sh.stops.length - 1; i++) {
+        const h = Math.floor((d.dep + tl.offs[i] * scale) / 3600)
+        if (h < 0 || h >= HOURS) continue
+        let counts = out.get(sh.stops[i].id)
+        if (!counts) out.set(sh.stops[i].id, counts = new Uint16Array(HOURS))
+        if (counts[h] < 0xffff) counts[h]++
+      }
+    }
+  }
+  return out
+}
+
+/**
+ * Second of the day the first vehicle leaves (null if nothing runs). Works
+ * from the line index alone: bands are known before the shapes load.
+ */
+export function firstDeparture(routes, { services, schedule } = {}) {
+  let first = null
+  for (const route of routes) {
+    for (const band of route.frequencies || []) {
+      if (band.headway <= 0 || !serviceRuns(services, band.serviceId)) continue
+      if (first === null || band.startSec < first) first = band.startSec
+    }
+    // Timetable trips are sorted by departure
+    const trip = (schedule?.[route.id] || []).find(tr => serviceRuns(services, tr.serviceId))
+    if (trip && (first === null || trip.dep < first)) first = trip.dep
+  }
+  return first
+}
+
+/** Rows of values → CSV text (comma-separated, quoted where needed; no header line when `header` is null) */
+export function toCSV(header, rows) {
+  const cell = v => {
+    const s = v == null ? '' : String(v)
+    return /[",\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s
+  }
+  const lines = header ? [header, ...rows] : rows
+  return lines.length ? lines.map(r => r.map(cell).join(',')).join('\n') + '\n' : ''
+}
@@ -0,0 +1,69 @@
+// ── Stop departure board ────────────────────────────────────
+// Every time a bus calls at one stop during a service day, per line and
+// direction, from the same frequency bands and timetable trips the
+// simulation runs (sim.js `departures`) plus the stop's offset into the
+// trip. The day is computed once per stop and date; the board then only
+// looks up the next few times at the current simulated second. Calls of
+// the neighbouring service days are listed among the next ones on this
+// day's clock, as the simulation runs them: the previous day's buses
+// still out after midnight, and the next day's earliest trips.
+
+import { serviceDepartures, stopTimeline } from './sim.js'
+import { serviceDays } from './calendar.js'
+
+const DAY_END = 48 * 3600 // GTFS times run past midnight; no call is listed after 48:00
+
+/**
+ * Lines calling at `stopId` on the service day whose `days` are given
+ * (calendar.js `serviceDays`): [{ routeIdx, routeId, lineNumber,
+ * routeName, color, direction, headsign, times, calls }] with `times` the
+ * day's own sorted arrival seconds (deduplicated) and `calls` those plus
+ * the previous and next days' on this day's clock. A shape's last stop
+ * is where its trips end, so it has no departures.
+ */
+export function stopSchedule(routes, stopId, { days = serviceDays(), schedule } = {}) {
+  const groups = new Map()
+  routes.forEach((route, routeIdx) => {
+    if (!route.shapes?.length) return
+    // Offsets of the stop into each shape that serves it (a loop may call twice)
+    const calls = route.shapes.map(sh => {
+      const tl = stopTimeline(sh)
+      if (!tl) return []
+      const out = []
+      sh.stops.forEach((st, i) => { if (st.id === stopId && i < sh.stops.length - 1) out.push(tl.offs[i] / tl.dur) })
+      return out
+    })
+    if (!calls.some(c => c.length)) return
+
+    for (const d of serviceDepartures(route, 0, DAY_END, days, schedule?.[route.id])) {
+      const sh = route.shapes[d.shapeIdx]
+      for (const f of calls[d.shapeIdx] || []) {
+        const time = Math.round(d.dep + f * d.dur)
+        if (time < 0 || time >= DAY_END) continue
+        const direction = sh.direction ?? 0
+        const key = `${routeIdx}:${direction}`
+        if (!groups.has(key)) {
+          groups.set(key, {
+            routeIdx, routeId: route.id, lineNumber: route.shortName, routeName: route.longName,
+            color: route.color, direction, headsign: sh.headsign || '', times: new Set(), calls: new Set(),
+          })
+        }
+        if (!d.offset) groups.get(key).times.add(time)
+        groups.get(key).calls.add(time)
+      }
+    }
+  })
+  const sorted = set => [...set].sort((a, b) => a - b)
+  return [...groups.values()].map(g => ({ ...g, times: sorted(g.times), calls: sorted(g.calls) }))
+}
+
+/** The first `n` of sorted `times` at or after `t` */
+export function nextTimes(times, t, n) {
+  let lo = 0, hi = times.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (times[mid] < t) lo = mid + 1
+    else hi = mid
+  }
+  return times.slice(lo, lo + n)
+}
@@ -0,0 +1,129 @@
+// ── Bunching and gap detection ──────────────────────────────
+// Looks at where the vehicles of each line and direction are — simulated
+// or from a realtime feed, it only needs positions — and compares the
+// spacing between consecutive ones with the scheduled headway. Vehicles
+// are compared only with others on the same shape variant (a short turn
+// or detour runs its own sequence of stops), projected onto that shape,
+// and the distance between two of them turned into seconds at its
+// scheduled pace.
+// DOM-free, like sim.js.
+
+import { serviceDepartures, shapeTable, stopTimeline } from './sim.js'
+import { serviceDays } from './calendar.js'
+
+export const BUNCH_FRACTION = 0.25 // closer than this share of the headway: bunched
+export const GAP_FACTOR = 2         // further apart than this many headways: a gap
+const HEADWAY_WINDOW = 1800         // departures counted this long either side of t
+const MAX_OFF_SHAPE_M = 300         // vehicles further from the shape are not compared
+
+const RAD = Math.PI / 180
+const M_PER_DEG = 111320
+
+const tables = new WeakMap() // shape → shapeTable()
+
+/** Metres along a shapeTable() of the point nearest to [lon, lat], and how far off it is */
+function alongShape(table, lon, lat) {
+  const { xy, cum } = table
+  const kx = M_PER_DEG * Math.cos(lat * RAD), ky = M_PER_DEG
+  let best = Infinity, along = 0
+  for (let i = 0; i < cum.length - 1; i++) {
+    const ax = (xy[i * 2] - lon) * kx, ay = (xy[i * 2 + 1] - lat) * ky
+    const bx = (xy[i * 2 + 2] - lon) * kx, by = (xy[i * 2 + 3] - lat) * ky
+    const dx = bx - ax, dy = by - ay
+    const len2 = dx * dx + dy * dy
+    const f = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0
+    const px = ax + f * dx, py = ay + f * dy
+    const d2 = px * px + py * py
+    if (d2 < best) {
+      best = d2
+      along = cum[i] + f * (cum[i + 1] - cum[i])
+    }
+  }
+  return { along, off: Math.sqrt(best) }
+}
+
+function tableOf(sh) {
+  if (!tables.has(sh)) tables.set(sh, shapeTable(sh.coordinates))
+  return tables.get(sh)
+}
+
+/**
+ * A vehicle on its shape: { shapeIdx, along, off }, or null. Vehicles that
+ * do not say which variant they run (realtime ones) take the nearest
+ * shape of their direction — the first listed where variants overlap.
+ */
+function placeOnShape(route, v) {
+  const candidates = v.shapeIdx != null ? [v.shapeIdx] : route.shapes.flatMap((sh, i) =>
+    v.direction == null || (sh.direction ?? 0) === v.direction ? [i] : [])
+  let best = null
+  for (const shapeIdx of candidates) {
+    const table = route.shapes[shapeIdx] && tableOf(route.shapes[shapeIdx])
+    if (!table) continue
+    const p = alongShape(table, v.lon, v.lat)
+    if (!best || p.off < best.off) best = { shapeIdx, ...p }
+  }
+  return best
+}
+
+/**
+ * Scheduled headway of one shape of a route around `t`: the departures
+ * within HEADWAY_WINDOW either side, from bands and timetable trips of
+ * the service `days` (calendar.js `serviceDays`) alike. Null when fewer
+ * than two leave in that hour.
+ */
+export function scheduledHeadway(route, shapeIdx, t, days, trips) {
+  const deps = new Set()
+  for (const d of serviceDepartures(route, t - HEADWAY_WINDOW, t + HEADWAY_WINDOW, days, trips)) {
+    if (d.dep < t - HEADWAY_WINDOW || d.shapeIdx !== shapeIdx) continue
+    deps.add(d.dep)
+  }
+  return deps.size >= 2 ? (2 * HEADWAY_WINDOW) / deps.size : null
+}
+
+/**
+ * Bunched and far-apart pairs among `vehicles` [{ key, ri, shapeIdx,
+ * direction, lon, lat }] (`shapeIdx` optional) at simulated second `t`:
+ * [{ type: 'bunch' | 'gap', ri, shapeIdx, direction, a, b, spacing,
+ * headway, coords }] with `a`/`b` the keys of consecutive vehicles
+ * (a behind b), `spacing` and `headway` in seconds and `coords` their
+ * two positions. A vehicle listed twice is compared once.
+ */
+export function detectIncidents(vehicles, routes, { t, days = serviceDays(), schedule, fraction = BUNCH_FRACTION, gapFactor = GAP_FACTOR } = {}) {
+  const groups = new Map()
+  const seen = new Set()
+  for (const v of vehicles) {
+    const route = routes[v.ri]
+    if (v.ri < 0 || !route?.shapes?.length || seen.has(v.key)) continue
+    seen.add(v.key)
+    const p = placeOnShape(route, v)
+    if (!p || p.off > MAX_OFF_SHAPE_M) continue
+    const g = `${v.ri}|${p.shapeIdx}`
+    if (!groups.has(g)) groups.set(g, [])
+    groups.get(g).push({ v, ...p })
+  }
+
+  const out = []
+  for (const placed of groups.values()) {
+    if (placed.length < 2) continue
+    const { v: { ri }, shapeIdx } = placed[0]
+    const route = routes[ri], sh = route.shapes[shapeIdx]
+    const direction = sh.direction ?? 0
+    const headway = scheduledHeadway(route, shapeIdx, t, days, schedule?.[route.id])
+    if (!headway) continue
+    const pace = (stopTimeline(sh)?.dur || route.tripDuration || 1800) / tableOf(sh).len // s per metre
+
+    placed.sort((a, b) => a.along - b.along)
+    for (let i = 1; i < placed.length; i++) {
+      const a = placed[i - 1], b = placed[i]
+      const spacing = (b.along - a.along) * pace
+      const type = spacing < fraction * headway ? 'bunch' : spacing > gapFactor * headway ? 'gap' : null
+      if (!type) continue
+      out.push({
+        type, ri, shapeIdx, direction, a: a.v.key, b: b.v.key,
+        spacing: Math.round(spacing), headway: Math.round(headway),
+        coords: [[a.v.lon, a.v.lat], [b.v.lon, b.v.lat]],
+      })
+    }
+  }
+  return out
+}
@@ -0,0 +1,81 @@
+// ── GTFS service calendar ───────────────────────────────────
+// Works with the emt-calendar.json written by scripts/preprocess-gtfs.js:
+//   service_id → { days: [mon…sun as 0/1], start, end, added: [], removed: [] }
+// Dates are GTFS "YYYYMMDD" strings; the UI uses ISO "YYYY-MM-DD".
+
+export const DAY_SEC = 86400 // seconds in a day: the offset between consecutive service days
+// When a service day begins on the wall clock: earlier it is still the
+// previous day's service, past midnight (t ≥ 24 h)
+export const SERVICE_DAY_START = 4 * 3600
+
+const DAY_LABELS = ['DOM', 'LUN', 'MAR', 'MIÉ', 'JUE', 'VIE', 'SÁB']
+
+/** A local Date as "YYYY-MM-DD" */
+function toISO(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+/** Today's local date as "YYYY-MM-DD" (what <input type="date"> expects) */
+export function todayISO() {
+  return toISO(new Date())
+}
+
+/** The ISO date `n` days after (or, negative, before) `iso` */
+export function addDays(iso, n) {
+  const [y, m, d] = iso.split('-').map(Number)
+  return toISO(new Date(y, m - 1, d + n))
+}
+
+/** "YYYY-MM-DD" → "YYYYMMDD" */
+export function isoToGtfs(iso) {
+  return iso.replaceAll('-', '')
+}
+
+/** Day of week for an ISO date, 0 = Sunday (like Date#getDay) */
+function weekday(iso) {
+  const [y, m, d] = iso.split('-').map(Number)
+  return new Date(y, m - 1, d).getDay()
+}
+
+/** Short Spanish weekday label for the HUD ("LUN", "SÁB"…) */
+export function dayLabel(iso) {
+  return DAY_LABELS[weekday(iso)]
+}
+
+/**
+ * Set of service_ids running on the given ISO date, honouring
+ * calendar_dates exceptions (holidays). Returns null when there is no
+ * calendar, meaning "every service runs".
+ */
+export function activeServices(calendar, iso) {
+  if (!calendar || !iso) return null
+  const date = isoToGtfs(iso)
+  // calendar.txt is Monday-first, Date#getDay() is Sunday-first
+  const dow = (weekday(iso) + 6) % 7
+  const out = new Set()
+  for (const [id, svc] of Object.entries(calendar)) {
+    if (svc.removed?.includes(date)) continue
+    const inRange = (!svc.start || date >= svc.start) && (!svc.end || date <= svc.end)
+    if ((inRange && svc.days?.[dow]) || svc.added?.includes(date)) out.add(id)
+  }
+  return out
+}
+
+/**
+ * The service day on `iso` and its neighbours, for sim.js
+ * `serviceDepartures`: [{ services, offset }] with `offset` the seconds
+ * that put each day's times on the clock of `iso` (the previous day's
+ * 25:30 is 01:30, the next day's 00:30 is 24:30). Without a calendar
+ * or a date every service runs every day.
+ */
+export function serviceDays(calendar = null, iso = null) {
+  return [-1, 0, 1].map(n => ({
+    services: activeServices(calendar, iso && addDays(iso, n)),
+    offset: n * DAY_SEC,
+  }))
+}
+
+/** True when a band/trip with this service_id runs (untagged data always runs) */
+export function serviceRuns(services, serviceId) {
+  return !services || serviceId == null || services.has(serviceId)
+}
@@ -0,0 +1,77 @@
+// ── Compact data format (version 2) ─────────────────────────
+// Decoders for the files scripts/preprocess-gtfs.js writes (encoders in
+// scripts/lib/polyline.js). Everything is decoded back into the plain
+// version 1 objects, so the rest of the app never sees the encoding:
+//   stops  → [{ id, name, coords }]
+//   routes → [{ …, shapes: [{ shapeId, headsign, direction, coordinates,
+//                             stops: [{ id, name, coords, dist, arr }] }] }]
+
+/** Encoded polyline → [[lon, lat], …] */
+export function decodePolyline(str, precision = 6) {
+  const f = 10 ** precision
+  const out = []
+  let i = 0, lat = 0, lon = 0
+  const next = () => {
+    let n = 0, mul = 1, b
+    do {
+      b = str.charCodeAt(i++) - 63
+      n += (b & 0x1f) * mul
+      mul *= 32
+    } while (b >= 0x20)
+    return n % 2 ? -(n + 1) / 2 : n / 2
+  }
+  while (i < str.length) {
+    lat += next()
+    lon += next()
+    out.push([lon / f, lat / f])
+  }
+  return out
+}
+
+/** [a, b − a, c − b…] → [a, b, c…] */
+export function deltaDecode(deltas) {
+  let acc = 0
+  return deltas.map(d => (acc += d))
+}
+
+/** Stops file: version 1 is already an array of stops */
+export function decodeStops(json) {
+  if (Array.isArray(json)) return json
+  const coords = decodePolyline(json.line, json.precision)
+  return json.ids.map((id, i) => ({ id, name: json.names[i], coords: coords[i] }))
+}
+
+/** One encoded shape; `json` is the enclosing file (precision, distScale) */
+function decodeShape({ line, stops: idx, dist, arr, ...sh }, stops, json) {
+  const d = deltaDecode(dist).map(v => v / (json.distScale || 1))
+  const a = deltaDecode(arr)
+  return {
+    ...sh,
+    coordinates: decodePolyline(line, json.precision),
+    stops: deltaDecode(idx).map((si, k) => ({ ...stops[si], dist: d[k], arr: a[k] })),
+  }
+}
+
+/** Routes file; `stops` is the decoded stops file its shapes index into */
+export function decodeRoutes(json, stops) {
+  if (Array.isArray(json)) return json
+  return json.routes.map(r => ({ ...r, shapes: r.shapes.map(sh => decodeShape(sh, stops, json)) }))
+}
+
+/**
+ * Per-line file (lazy loading) → { shapes, stops, schedule }. Its shapes
+ * index into the file's own stop list. Plain (--plain) files are a
+ * version 1 route with its schedule attached.
+ */
+export function decodeRouteFile(json) {
+  if (json.version !== 2) {
+    const stops = [...new Map(json.shapes.flatMap(sh => sh.stops).map(s => [s.id, s])).values()]
+    return { shapes: json.shapes, stops, schedule: json.schedule || [] }
+  }
+  const stops = decodeStops(json.stops)
+  return {
+    shapes: json.shapes.map(sh => decodeShape(sh, stops, json)),
+    stops,
+    schedule: json.schedule || [],
+  }
+}
@@ -0,0 +1,153 @@
+// ── Network data loading ────────────────────────────────────
+// Reads the files written by scripts/preprocess-gtfs.js. feeds.json lists
+// every feed (EMT, Metro, Cercanías…); each feed has its own
+// <id>-routes/-stops/-calendar/-schedule.json with namespaced ids, or an
+// <id>-index.json plus one file per line for lazy loading.
+
+import { decodeRoutes, decodeStops, decodeRouteFile } from './codec'
+
+const BASE = import.meta.env.BASE_URL || '/'
+
+/** Data preprocessed before feeds.json existed is a single EMT feed */
+const LEGACY_FEEDS = [{ id: 'emt', name: 'EMT Madrid', mode: 3 }]
+
+export async function fetchJSON(name) {
+  const r = await fetch(`${BASE}data/${name}`)
+  if (!r.ok) throw new Error(`Failed ${name}`)
+  return r.json()
+}
+
+/** Like fetchJSON, but resolves to null for optional files an older preprocess run did not write */
+export async function fetchOptionalJSON(name) {
+  try { return await fetchJSON(name) } catch { return null }
+}
+
+/**
+ * A feed that shipped no calendar runs every service every day: drop the
+ * service ids so serviceRuns() treats its bands and trips as untagged.
+ */
+function untagServices(items) {
+  for (const it of items || []) delete it.serviceId
+}
+
+/** Does bbox [w, s, e, n] overlap mapbox LngLatBounds? */
+export function bboxInView(bbox, bounds) {
+  return bbox && bounds &&
+    bbox[0] <= bounds.getEast() && bbox[2] >= bounds.getWest() &&
+    bbox[1] <= bounds.getNorth() && bbox[3] >= bounds.getSouth()
+}
+
+/**
+ * Load every feed and merge them into one network. Routes and stops are
+ * tagged with their `feed` id; calendars and schedules are keyed by
+ * namespaced ids, so they merge without collisions.
+ *
+ * Feeds with an <id>-index.json start as stub routes (`loaded: false`,
+ * no shapes) whose geometry comes later through createRouteLoader();
+ * older feeds without an index are downloaded whole.
+ * Returns { feeds, routes, stops, calendar, schedule }.
+ */
+export async function loadNetwork(onProgress) {
+  const feeds = (await fetchOptionalJSON('feeds.json')) || LEGACY_FEEDS
+  const out = { feeds, routes: [], stops: [], calendar: {}, schedule: {} }
+
+  for (const feed of feeds) {
+    onProgress?.(`Descargando índice de ${feed.name}…`)
+    const [index, calendar] = await Promise.all([
+      fetchOptionalJSON(`${feed.id}-index.json`),
+      fetchOptionalJSON(`${feed.id}-calendar.json`),
+    ])
+    feed.calendar = !!calendar
+    if (calendar) Object.assign(out.calendar, calendar)
+
+    if (index) {
+      for (const r of index.routes) {
+        if (!feed.calendar) untagServices(r.frequencies)
+        out.routes.push({ ...r, feed: feed.id, type: r.type ?? feed.mode, shapes: [], loaded: false })
+      }
+      continue
+    }
+
+    onProgress?.(`Descargando ${feed.name}…`)
+    const [routesRaw, stopsRaw, schedule] = await Promise.all([
+      fetchJSON(`${feed.id}-routes.json`),
+      fetchJSON(`${feed.id}-stops.json`),
+      fetchOptionalJSON(`${feed.id}-schedule.json`),
+    ])
+    const stops = decodeStops(stopsRaw)
+    const routes = decodeRoutes(routesRaw, stops)
+    for (const r of routes) {
+      Object.assign(r, { feed: feed.id, type: r.type ?? feed.mode, loaded: true })
+      if (!feed.calendar) untagServices(r.frequencies)
+    }
+    for (const s of stops) s.feed = feed.id
+    if (!feed.calendar) Object.values(schedule || {}).forEach(untagServices)
+    out.routes.push(...routes)
+    out.stops.push(...stops)
+    Object.assign(out.schedule, schedule)
+  }
+  return out
+}
+
+/**
+ * Progressive loader for stub routes. Keeps `concurrency` per-line files
+ * in flight, always picking next: explicitly requested lines, then lines
+ * inside the current viewport (`getBounds()`), then the rest in index
+ * order. Each loaded file fills in route.shapes, network.stops and
+ * network.schedule before onLoaded(route, done, total) is called.
+ */
+export function createRouteLoader(network, { getBounds, onLoaded, concurrency = 6 }) {
+  const pending = network.routes.filter(r => !r.loaded)
+  const total = pending.length
+  const wanted = new Set()
+  const seenStops = new Set(network.stops.map(s => s.id))
+  const calendarless = new Set(network.feeds.filter(f => !f.calendar).map(f => f.id))
+  let done = 0, active = 0, stopped = false
+
+  function pick() {
+    if (!pending.length) return null
+    let i = pending.findIndex(r => wanted.has(r.id))
+    if (i < 0) {
+      const bounds = getBounds?.()
+      i = pending.findIndex(r => bboxInView(r.bbox, bounds))
+    }
+    return pending.splice(Math.max(i, 0), 1)[0]
+  }
+
+  async function load(route) {
+    try {
+      const { shapes, stops, schedule } = decodeRouteFile(await fetchJSON(route.file))
+      if (stopped) return
+      if (calendarless.has(route.feed)) untagServices(schedule)
+      route.shapes = shapes
+      route.loaded = true
+      for (const s of stops) {
+        if (seenStops.has(s.id)) continue
+        seenStops.add(s.id)
+        network.stops.push({ id: s.id, name: s.name, coords: s.coords, feed: route.feed })
+      }
+      if (schedule.length) network.schedule[route.id] = schedule
+    } catch (err) {
+      console.error(err)
+    }
+    done++
+    if (!stopped) onLoaded(route, done, total)
+  }
+
+  function pump() {
+    while (!stopped && active < concurrency) {
+      const r = pick()
+      if (!r) return
+      active++
+      load(r).finally(() => { active--; pump() })
+    }
+  }
+
+  return {
+    total,
+    /** Move a line to the front of the queue (e.g. it was just selected) */
+    request(id) { wanted.add(id); pump() },
+    start: pump,
+    stop() { stopped = true },
+  }
+}
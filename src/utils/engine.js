@@ -0,0 +1,202 @@
+// ── Headless simulation engine ──────────────────────────────
+// The whole "where is every vehicle" model behind one deterministic API,
+// with no map, DOM or clock of its own: the same network, date and time
+// always give the same answer. Used by the simulation worker and by
+// scripts/snapshot.js.
+//
+//   const engine = createEngine({ routes, calendar, schedule }, { date })
+//   engine.getVehicles(8 * 3600)          → [{ id, routeId, lon, lat, … }]
+//   engine.getStopEvents(t0, t1)          → [{ time, stopId, vehicleId, … }]
+//   engine.getTripStops(vehicle)          → [{ stopIdx, stopId, time }]
+//   engine.setDelays(delays, canceled)    ← realtime TripUpdates
+//
+// Routes are the decoded objects from codec.js / data.js (shapes with
+// coordinates and stops carrying `arr` and `dist`); schedule maps a route
+// id to its timetable-only trips.
+
+import { serviceDays } from './calendar.js'
+import { shapeTable, pointAlong, bearingAlong, stopTimeline, tripPosition, serviceDepartures } from './sim.js'
+
+/** A shape with its lookup tables; the raw coordinates are not kept */
+function prepareShape(sh) {
+  return {
+    shapeId: sh.shapeId,
+    direction: sh.direction ?? 0,
+    headsign: sh.headsign || '',
+    stops: sh.stops || [],
+    table: shapeTable(sh.coordinates),
+    tl: stopTimeline(sh),
+  }
+}
+
+export function createEngine(network = {}, { date = null } = {}) {
+  const routes = []
+  const calendar = network.calendar || null
+  let days = serviceDays(calendar, date)
+  // Realtime trip updates, keyed by vehicle id or "<routeId>@<dep>"
+  let delays = new Map()
+  let canceled = new Set()
+  let maxDelay = 0
+
+  /** Seconds a trip runs late (negative: early), or null when it is canceled */
+  const tripDelay = (route, d) => {
+    if (!delays.size && !canceled.size) return 0
+    const alt = `${route.id}@${d.dep - (d.offset || 0)}` // start time on its own day
+    if (canceled.has(d.id) || canceled.has(alt)) return null
+    return delays.get(d.id) ?? delays.get(alt) ?? 0
+  }
+
+  function addRoutes(list, schedule = {}) {
+    for (const r of list) {
+      routes.push({
+        id: r.id,
+        feed: r.feed,
+        shortName: r.shortName,
+        frequencies: r.frequencies,
+        tripDuration: r.tripDuration,
+        trips: schedule?.[r.id],
+        shapes: r.shapes.map(prepareShape),
+        source: r, // the route as given, for callers' own fields
+      })
+    }
+  }
+  addRoutes(network.routes || [], network.schedule)
+
+  const visible = (route, hidden) => !hidden?.includes(route.feed)
+
+  return {
+    /** Prepared routes in the order they were added (`routeIdx` in results) */
+    routes,
+
+    /** Add routes that arrived later (lazy loading) */
+    addRoutes,
+
+    /** Switch the service day (ISO "YYYY-MM-DD"); null runs every service */
+    setDate(iso) {
+      date = iso
+      days = serviceDays(calendar, date)
+    },
+
+    /**
+     * Apply realtime trip updates: `delays` maps a vehicle id (or
+     * "<routeId>@<departure second>" for trips known only by their start
+     * time) to seconds late; trips in `canceled` disappear. Each call
+     * replaces the previous set.
+     */
+    setDelays(next = new Map(), cancel = new Set()) {
+      delays = next
+      canceled = cancel
+      maxDelay = 0
+      for (const v of delays.values()) if (v > maxDelay) maxDelay = v
+    },
+
+    /**
+     * Every vehicle on the road at `t` (seconds since midnight of the
+     * service day, past 24 h after midnight), skipping feeds listed in
+     * `hidden`. The previous day's trips still running count too, with
+     * `dep` on this day's clock. Each vehicle:
+     * { id, routeIdx, routeId, lineNumber, feed, shapeIdx, shapeId,
+     *   direction, headsign, lon, lat, progress (0…1), bearing (degrees
+     *   from north), moving (false while dwelling), dep, elapsed, dur,
+     *   stopIdx / stopId of the stop it is dwelling at (-1 / null),
+     *   delay (s, from setDelays) }.
+     */
+    getVehicles(t, { hidden } = {}) {
+      const out = []
+      routes.forEach((route, routeIdx) => {
+        if (!visible(route, hidden)) return
+        // Late trips are still on the road up to maxDelay past their schedule
+        for (const d of serviceDepartures(route, t - maxDelay, t, days, route.trips)) {
+          const sh = route.shapes[d.shapeIdx]
+          if (!sh?.table) continue
+          const delay = tripDelay(route, d)
+          if (delay === null) continue
+          const elapsed = Math.max(0, t - d.dep - delay)
+          if (elapsed > d.dur) continue
+          const pos = tripPosition(sh.tl, elapsed, d.dur)
+          const progress = Math.max(0.001, Math.min(0.999, pos.progress))
+          const along = progress * sh.table.len
+          const [lon, lat] = pointAlong(sh.table, along)
+          out.push({
+            id: d.id,
+            routeIdx,
+            routeId: route.id,
+            lineNumber: route.shortName,
+            feed: route.feed,
+            shapeIdx: d.shapeIdx,
+            shapeId: sh.shapeId,
+            direction: sh.direction,
+            headsign: sh.headsign,
+            lon, lat, progress,
+            bearing: bearingAlong(sh.table, along),
+            moving: pos.stopIdx < 0,
+            dep: d.dep, elapsed, dur: d.dur,
+            stopIdx: pos.stopIdx,
+            stopId: pos.stopIdx >= 0 ? sh.stops[pos.stopIdx].id : null,
+            delay,
+          })
+        }
+      })
+      return out
+    },
+
+    /**
+     * When a vehicle from getVehicles() reaches each stop of its trip,
+     * passed or upcoming: [{ stopIdx, stopId, time }] in stop order, with
+     * its delay applied. Shapes without stop timing are paced by distance;
+     * stops without either get no entry.
+     */
+    getTripStops(v) {
+      const sh = routes[v.routeIdx]?.shapes[v.shapeIdx]
+      if (!sh?.table) return []
+      const start = v.dep + (v.delay || 0)
+      if (sh.tl) {
+        const scale = v.dur / sh.tl.dur
+        return sh.tl.offs.map((off, stopIdx) => ({ stopIdx, stopId: sh.stops[stopIdx].id, time: start + off * scale }))
+      }
+      // Stop distances are in the feed's own units (km, feet…): pace them
+      // as fractions of the last one, as stopTimeline() does
+      const total = sh.stops.findLast(st => st.dist != null)?.dist
+      if (!(total > 0)) return []
+      return sh.stops.flatMap((st, stopIdx) => st.dist == null ? [] : [{
+        stopIdx, stopId: st.id, time: start + v.dur * Math.min(1, st.dist / total),
+      }])
+    },
+
+    /**
+     * Every arrival of a vehicle at a stop with t0 ≤ time < t1, sorted by
+     * time: [{ time, stopId, stopIdx, routeIdx, routeId, vehicleId,
+     * shapeIdx, shapeId }].
+     * Shapes without stop timing have no events. Sampling getVehicles()
+     * can miss short dwells at high speed; this never does.
+     */
+    getStopEvents(t0, t1, { hidden } = {}) {
+      const out = []
+      routes.forEach((route, routeIdx) => {
+        if (!visible(route, hidden)) return
+        for (const d of serviceDepartures(route, t0 - maxDelay, t1, days, route.trips)) {
+          const sh = route.shapes[d.shapeIdx]
+          if (!sh?.table || !sh.tl) continue
+          const delay = tripDelay(route, d)
+          if (delay === null) continue
+          const scale = d.dur / sh.tl.dur
+          sh.tl.offs.forEach((off, stopIdx) => {
+            const time = d.dep + delay + off * scale
+            if (time < t0 || time >= t1) return
+            out.push({
+              time,
+              stopId: sh.stops[stopIdx].id,
+              stopIdx,
+              routeIdx,
+              routeId: route.id,
+              vehicleId: d.id,
+              shapeIdx: d.shapeIdx,
+              shapeId: sh.shapeId,
+            })
+          })
+        }
+      })
+      return out.sort((a, b) => a.time - b.time)
+    },
+  }
+}
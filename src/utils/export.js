@@ -0,0 +1,56 @@
+// ── Position time series ────────────────────────────────────
+// Every simulated vehicle sampled at a fixed interval, so the simulation
+// can be analysed outside the browser: CSV rows, or GeoJSON lines (one
+// Point feature per line). Columns are those of the snapshot CLI
+// (scripts/snapshot.js) after the service day and time of the sample.
+// DOM-free, like sim.js; the simulation worker writes the file.
+
+import { toCSV } from './analytics.js'
+
+export const POSITION_FORMATS = {
+  csv: { ext: 'csv', type: 'text/csv' },
+  geojsonl: { ext: 'geojsonl', type: 'application/x-ndjson' },
+}
+
+const COLUMNS = ['id', 'routeId', 'lineNumber', 'feed', 'shapeId', 'direction', 'headsign', 'progress', 'bearing', 'stopId', 'lon', 'lat']
+export const POSITION_HEADER = ['date', 'time', ...COLUMNS]
+
+/** seconds → "HH:MM:SS", hours past 24 after midnight as in GTFS */
+export function gtfsTime(sec) {
+  const s = Math.floor(sec)
+  const pad = n => String(n).padStart(2, '0')
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`
+}
+
+/** Sample times from `from` to `to` (both included) every `step` seconds */
+export function sampleTimes(from, to, step) {
+  const out = []
+  for (let t = from; t <= to; t += step) out.push(t)
+  return out
+}
+
+/**
+ * engine.getVehicles() at second `t` of service day `date` → text in
+ * `format` ('csv' | 'geojsonl'); with `header`, the CSV starts with its
+ * column names.
+ */
+export function formatPositions(vehicles, t, date, format, header = false) {
+  const time = gtfsTime(t)
+  const values = v => ({
+    ...v, progress: +v.progress.toFixed(4), bearing: +v.bearing.toFixed(1), lon: +v.lon.toFixed(6), lat: +v.lat.toFixed(6),
+  })
+  if (format === 'geojsonl') {
+    return vehicles.map(v => {
+      const r = values(v)
+      return JSON.stringify({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [r.lon, r.lat] },
+        properties: { date, time, ...Object.fromEntries(COLUMNS.slice(0, -2).map(c => [c, r[c]])) },
+      }) + '\n'
+    }).join('')
+  }
+  return toCSV(header ? POSITION_HEADER : null, vehicles.map(v => {
+    const r = values(v)
+    return [date, time, ...COLUMNS.map(c => r[c])]
+  }))
+}
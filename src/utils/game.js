@@ -0,0 +1,360 @@
+// ── Game mode ───────────────────────────────────────────────
+// Pure game logic for playing Pac-Man on the real network: the player
+// runs along the route shapes, eats stop pellets and dodges buses, which
+// are the ghosts. Like sim.js this knows nothing about the map: GtfsMap
+// feeds it vehicle positions and draws what it reports.
+//
+// Geometry is handled in local metres (x east, y north) around the level's
+// centre; the street graph is the route shapes resampled every STEP_M and
+// merged wherever two lines come within SNAP_M of each other, which is
+// what turns crossing routes into junctions.
+
+const R = 6371008.8
+const RAD = Math.PI / 180
+
+const STEP_M = 15          // resampling step along shapes
+const SNAP_M = 12          // samples closer than this become one node
+const PELLET_REACH_M = 20  // pellets further than this from every node are unreachable
+const EAT_M = 25           // player ↔ pellet distance that eats it
+const CATCH_M = 22         // player ↔ ghost distance that counts as contact
+const TURN_DEG = 50        // max difference between the arrow and a street to take it
+const AHEAD_DEG = 40       // with no usable arrow, keep going if a street continues this straight
+
+export const PLAYER_SPEED = 70    // metres per real second
+export const FRIGHT_MS = 8000     // ghosts stay vulnerable this long after a power pellet
+const RESPAWN_SAFE_MS = 2500      // invulnerability after losing a life
+export const START_LIVES = 3
+const POWER_PER_LEVEL = 4         // busiest interchanges of the district
+const POWER_MIN_ROUTES = 3
+
+export const SCORE = { pellet: 10, power: 50, ghost: 200, level: 1000 }
+
+/**
+ * Levels, in play order. Boxes [west, south, east, north] are rough
+ * rectangles around each district's core — good enough to frame a level,
+ * not official boundaries.
+ */
+export const DISTRICTS = [
+  { name: 'Centro', bbox: [-3.7200, 40.4050, -3.6950, 40.4250] },
+  { name: 'Chamberí', bbox: [-3.7150, 40.4250, -3.6900, 40.4450] },
+  { name: 'Salamanca', bbox: [-3.6900, 40.4200, -3.6570, 40.4400] },
+  { name: 'Retiro', bbox: [-3.6900, 40.4000, -3.6630, 40.4200] },
+  { name: 'Arganzuela', bbox: [-3.7150, 40.3880, -3.6750, 40.4070] },
+  { name: 'Tetuán', bbox: [-3.7150, 40.4450, -3.6900, 40.4750] },
+  { name: 'Chamartín', bbox: [-3.6920, 40.4400, -3.6600, 40.4700] },
+  { name: 'Moncloa-Aravaca', bbox: [-3.7700, 40.4200, -3.7150, 40.4500] },
+  { name: 'Latina', bbox: [-3.7800, 40.3800, -3.7200, 40.4100] },
+  { name: 'Carabanchel', bbox: [-3.7600, 40.3650, -3.7150, 40.3950] },
+  { name: 'Usera', bbox: [-3.7200, 40.3700, -3.6900, 40.3950] },
+  { name: 'Puente de Vallecas', bbox: [-3.6750, 40.3750, -3.6350, 40.4050] },
+  { name: 'Moratalaz', bbox: [-3.6600, 40.3950, -3.6300, 40.4150] },
+  { name: 'Ciudad Lineal', bbox: [-3.6650, 40.4200, -3.6300, 40.4600] },
+  { name: 'Hortaleza', bbox: [-3.6600, 40.4600, -3.6200, 40.4900] },
+  { name: 'Fuencarral-El Pardo', bbox: [-3.7300, 40.4750, -3.6800, 40.5050] },
+  { name: 'San Blas-Canillejas', bbox: [-3.6300, 40.4150, -3.5800, 40.4500] },
+  { name: 'Barajas', bbox: [-3.6000, 40.4600, -3.5650, 40.4900] },
+  { name: 'Vicálvaro', bbox: [-3.6200, 40.3900, -3.5800, 40.4150] },
+  { name: 'Villa de Vallecas', bbox: [-3.6550, 40.3550, -3.6000, 40.3850] },
+  { name: 'Villaverde', bbox: [-3.7250, 40.3350, -3.6850, 40.3700] },
+]
+
+/** District for a 0-based level (wraps around after the last one) */
+export function levelDistrict(level) {
+  return DISTRICTS[level % DISTRICTS.length]
+}
+
+/** Smallest difference between two headings, degrees (0…180) */
+function angleDiff(a, b) {
+  const d = Math.abs(a - b) % 360
+  return d > 180 ? 360 - d : d
+}
+
+/** Local metric projection around a bbox centre */
+function projection(bbox) {
+  const lon0 = (bbox[0] + bbox[2]) / 2, lat0 = (bbox[1] + bbox[3]) / 2
+  const kx = Math.cos(lat0 * RAD) * R * RAD, ky = R * RAD
+  return {
+    toXY: ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * ky],
+    toLonLat: ([x, y]) => [lon0 + x / kx, lat0 + y / ky],
+  }
+}
+
+/** Bucket points by `cell`-sized squares so "anything within `cell`" checks only 9 squares */
+function createGrid(cell) {
+  const cells = new Map()
+  const key = (cx, cy) => `${cx},${cy}`
+  return {
+    add(x, y, item) {
+      const k = key(Math.floor(x / cell), Math.floor(y / cell))
+      if (!cells.has(k)) cells.set(k, [])
+      cells.get(k).push(item)
+    },
+    near(x, y) {
+      const cx = Math.floor(x / cell), cy = Math.floor(y / cell)
+      const out = []
+      for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) out.push(...(cells.get(key(cx + i, cy + j)) || []))
+      }
+      return out
+    },
+  }
+}
+
+/**
+ * Everything a level needs, built from the loaded network: the street
+ * graph inside the district, its pellets (stops the player can reach,
+ * the busiest interchanges as power pellets) and the start node.
+ * `stopRoutes` maps a stop id to the set of lines serving it.
+ */
+export function buildLevel({ routes, stops, stopRoutes }, district) {
+  const [w, s, e, n] = district.bbox
+  const inBox = ([lon, lat]) => lon >= w && lon <= e && lat >= s && lat <= n
+  const proj = projection(district.bbox)
+  const nodes = [] // { x, y, edges: [{ to, len, bearing }] }
+  const grid = createGrid(SNAP_M)
+
+  const nodeAt = (x, y) => {
+    let best = -1, bestD = SNAP_M
+    for (const id of grid.near(x, y)) {
+      const d = Math.hypot(nodes[id].x - x, nodes[id].y - y)
+      if (d < bestD) { best = id; bestD = d }
+    }
+    if (best >= 0) return best
+    nodes.push({ x, y, edges: [] })
+    grid.add(x, y, nodes.length - 1)
+    return nodes.length - 1
+  }
+  const link = (a, b) => {
+    if (a === b || nodes[a].edges.some(ed => ed.to === b)) return
+    const dx = nodes[b].x - nodes[a].x, dy = nodes[b].y - nodes[a].y
+    const len = Math.hypot(dx, dy)
+    const bearing = (Math.atan2(dx, dy) / RAD + 360) % 360
+    nodes[a].edges.push({ to: b, len, bearing })
+    nodes[b].edges.push({ to: a, len, bearing: (bearing + 180) % 360 })
+  }
+
+  for (const r of routes) {
+    if (r.loaded === false) continue
+    for (const sh of r.shapes) {
+      let prev = -1
+      for (let i = 1; i < sh.coordinates.length; i++) {
+        const a = sh.coordinates[i - 1], b = sh.coordinates[i]
+        if (!inBox(a) && !inBox(b)) { prev = -1; continue }
+        const [ax, ay] = proj.toXY(a), [bx, by] = proj.toXY(b)
+        const steps = Math.max(1, Math.ceil(Math.hypot(bx - ax, by - ay) / STEP_M))
+        for (let k = prev < 0 ? 0 : 1; k <= steps; k++) {
+          const id = nodeAt(ax + (bx - ax) * k / steps, ay + (by - ay) * k / steps)
+          if (prev >= 0) link(prev, id)
+          prev = id
+        }
+      }
+    }
+  }
+
+  // Pellets: stops in the district close enough to the graph to be eaten
+  const reach = createGrid(PELLET_REACH_M)
+  nodes.forEach((nd, id) => reach.add(nd.x, nd.y, id))
+  const pellets = []
+  for (const st of stops) {
+    if (!inBox(st.coords)) continue
+    const [x, y] = proj.toXY(st.coords)
+    if (!reach.near(x, y).some(id => Math.hypot(nodes[id].x - x, nodes[id].y - y) <= PELLET_REACH_M)) continue
+    pellets.push({ id: st.id, name: st.name, coords: st.coords, x, y, routes: stopRoutes[st.id]?.size || 0, power: false })
+  }
+  pellets
+    .filter(p => p.routes >= POWER_MIN_ROUTES)
+    .sort((a, b) => b.routes - a.routes)
+    .slice(0, POWER_PER_LEVEL)
+    .forEach(p => { p.power = true })
+
+  // Start at the best-connected node nearest the centre
+  let start = -1, startScore = Infinity
+  nodes.forEach((nd, id) => {
+    if (nd.edges.length < 2) return
+    const score = Math.hypot(nd.x, nd.y) / (nd.edges.length >= 3 ? 2 : 1)
+    if (score < startScore) { start = id; startScore = score }
+  })
+
+  return { district, nodes, pellets, start, proj }
+}
+
+/**
+ * One run: score, lives, level and the player's position on the street
+ * graph. Drive it with steer() on arrow keys and update() every frame;
+ * update() returns the events of that frame so the caller can react
+ * (sounds, HUD, loading the next level).
+ */
+export function createGame() {
+  const state = {
+    status: 'playing', // 'playing' | 'over'
+    score: 0,
+    lives: START_LIVES,
+    level: 0,
+    frightUntil: 0,
+    safeUntil: 0,
+  }
+  let lvl = null
+  let eaten = new Set()       // pellet ids eaten this level
+  let ghostsEaten = new Set() // ghost keys eaten during the current fright
+  let ghostChain = 0
+  // Player: standing on `node`, or running `from` → `to` with `pos` metres done
+  let player = null
+  let want = null // heading the arrows ask for, degrees
+
+  const edgeOf = (a, b) => lvl.nodes[a].edges.find(ed => ed.to === b)
+
+  /** Street out of `node` closest to `heading`, within `maxDiff` degrees */
+  function pickEdge(node, heading, maxDiff, except = -1) {
+    let best = null, bestD = maxDiff
+    for (const ed of lvl.nodes[node].edges) {
+      if (ed.to === except) continue
+      const d = angleDiff(ed.bearing, heading)
+      if (d <= bestD) { best = ed; bestD = d }
+    }
+    return best
+  }
+
+  function placeAtStart() {
+    player = { node: lvl.start, from: lvl.start, to: lvl.start, pos: 0, bearing: 90 }
+  }
+
+  function position() {
+    if (player.node != null) return [lvl.nodes[player.node].x, lvl.nodes[player.node].y]
+    const a = lvl.nodes[player.from], b = lvl.nodes[player.to]
+    const f = player.pos / edgeOf(player.from, player.to).len
+    return [a.x + (b.x - a.x) * f, a.y + (b.y - a.y) * f]
+  }
+
+  function move(dist) {
+    // Reverse on the spot when the arrow points back the way we came
+    if (player.node == null && want != null && angleDiff(want, player.bearing) > 135) {
+      const len = edgeOf(player.from, player.to).len
+      Object.assign(player, { from: player.to, to: player.from, pos: len - player.pos, bearing: (player.bearing + 180) % 360 })
+    }
+    while (dist > 0) {
+      if (player.node != null) {
+        const ed = (want != null && pickEdge(player.node, want, TURN_DEG)) ||
+          (player.moved && pickEdge(player.node, player.bearing, AHEAD_DEG, player.from))
+        if (!ed) { player.moved = false; return }
+        Object.assign(player, { from: player.node, to: ed.to, node: null, pos: 0, bearing: ed.bearing, moved: true })
+      }
+      const len = edgeOf(player.from, player.to).len
+      if (player.pos + dist < len) {
+        player.pos += dist
+        return
+      }
+      dist -= len - player.pos
+      player.node = player.to
+    }
+  }
+
+  return {
+    state,
+
+    /** Begin a level built with buildLevel() (the first one, or after a clear) */
+    startLevel(level) {
+      lvl = level
+      eaten = new Set()
+      want = null
+      placeAtStart()
+    },
+
+    /** Arrow keys: desired heading in degrees (0 up, 90 right…) */
+    steer(heading) { want = heading },
+
+    /** Pellets still on the board */
+    pellets() { return lvl ? lvl.pellets.filter(p => !eaten.has(p.id)) : [] },
+
+    /** Ghost keys eaten during the current fright (drawn as gone) */
+    ghostsEaten() { return ghostsEaten },
+
+    frightened(now) { return now < state.frightUntil },
+
+    /** { lon, lat, bearing, moving } for drawing the player */
+    player() {
+      if (!player) return null
+      const [lon, lat] = lvl.proj.toLonLat(position())
+      return { lon, lat, bearing: player.bearing, moving: player.node == null }
+    },
+
+    /**
+     * Advance `dt` real seconds. `ghosts` are [{ key, lon, lat }] for
+     * every bus on the map. Returns events: { type: 'pellet' | 'power' |
+     * 'ghost' | 'death' | 'clear' | 'over', … }.
+     */
+    update(dt, ghosts, now) {
+      const events = []
+      if (state.status !== 'playing' || !lvl || lvl.start < 0) return events
+      move(PLAYER_SPEED * dt)
+      const [px, py] = position()
+
+      for (const p of lvl.pellets) {
+        if (eaten.has(p.id) || Math.hypot(p.x - px, p.y - py) > EAT_M) continue
+        eaten.add(p.id)
+        if (p.power) {
+          state.score += SCORE.power
+          state.frightUntil = now + FRIGHT_MS
+          ghostsEaten = new Set()
+          ghostChain = 0
+          events.push({ type: 'power', pellet: p })
+        } else {
+          state.score += SCORE.pellet
+          events.push({ type: 'pellet', pellet: p })
+        }
+      }
+      if (now >= state.frightUntil && ghostsEaten.size) ghostsEaten = new Set()
+
+      for (const g of ghosts) {
+        if (ghostsEaten.has(g.key)) continue
+        const [gx, gy] = lvl.proj.toXY([g.lon, g.lat])
+        if (Math.hypot(gx - px, gy - py) > CATCH_M) continue
+        if (now < state.frightUntil) {
+          ghostsEaten.add(g.key)
+          const points = SCORE.ghost * 2 ** Math.min(ghostChain++, 3)
+          state.score += points
+          events.push({ type: 'ghost', key: g.key, points })
+        } else if (now >= state.safeUntil) {
+          state.lives--
+          state.safeUntil = now + RESPAWN_SAFE_MS
+          events.push({ type: 'death' })
+          if (state.lives <= 0) {
+            state.status = 'over'
+            events.push({ type: 'over' })
+          } else {
+            placeAtStart()
+          }
+          break
+        }
+      }
+
+      if (state.status === 'playing' && eaten.size === lvl.pellets.length) {
+        state.score += SCORE.level
+        state.level++
+        events.push({ type: 'clear' })
+      }
+      return events
+    },
+  }
+}
+
+// ── High scores ─────────────────────────────────────────────
+const HIGH_SCORES_KEY = 'pacman-madrid:highscores'
+const HIGH_SCORES_MAX = 10
+
+/** Best runs so far, highest first: [{ score, level, district, date }] */
+export function loadHighScores(storage = globalThis.localStorage) {
+  try {
+    return JSON.parse(storage?.getItem(HIGH_SCORES_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+/** Record a finished run; returns the updated table and the run's rank (-1 if off the table) */
+export function saveHighScore(entry, storage = globalThis.localStorage) {
+  const table = [...loadHighScores(storage), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, HIGH_SCORES_MAX)
+  try { storage?.setItem(HIGH_SCORES_KEY, JSON.stringify(table)) } catch { /* private mode */ }
+  return { table, rank: table.indexOf(entry) }
+}
@@ -0,0 +1,414 @@
+// ── Journey planner ─────────────────────────────────────────
+// RAPTOR (Delling, Pajor & Werneck, "Round-Based Public Transit Routing")
+// over the simulated schedule: every shape with stop timing is a pattern,
+// its trips are the frequency-band and timetable departures of the day
+// (sim.js `departures`), and stops within walking distance are linked by
+// footpaths. Round k finds the earliest arrivals with k vehicles, so the
+// result is one itinerary per number of transfers that arrives earlier
+// than any itinerary with fewer.
+//
+//   const tt = buildTimetable(routes, stops, { days, schedule })
+//   plan(tt, fromStopId, toStopId, 8 * 3600) → [{ dep, arr, transfers, legs }]
+//   reach(tt, fromStopId, 8 * 3600, 30 * 60) → [{ id, coords, secs }]
+//   reachAreas(reached, [900, 1800, 2700]) → GeoJSON polygons per limit
+//
+// DOM-free, like sim.js, so it can be run and checked under Node.
+
+import { serviceDepartures, stopTimeline, shapeTable, pointAlong } from './sim.js'
+import { serviceDays } from './calendar.js'
+
+const DAY_END = 48 * 3600
+const WALK_M = 400          // longest walk between two stops (straight line)
+const WALK_SPEED = 1.2      // m/s
+const DETOUR = 1.3          // streets are longer than the straight line
+const TRANSFER_SEC = 60     // minimum change time when staying at the same stop
+const MAX_ROUNDS = 5        // vehicles per journey (up to 4 transfers)
+
+const R = 6371008.8
+const RAD = Math.PI / 180
+
+function distance([lon1, lat1], [lon2, lat2]) {
+  const dLat = (lat2 - lat1) * RAD
+  const dLon = (lon2 - lon1) * RAD
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin(dLon / 2) ** 2
+  return 2 * R * Math.asin(Math.sqrt(h))
+}
+
+/** Stop index → [[other stop, walk seconds, metres]] for stops within WALK_M */
+function buildFootpaths(stops) {
+  const cellLat = WALK_M / 111320
+  const cellLon = WALK_M / (111320 * Math.cos(40.4 * RAD))
+  const grid = new Map()
+  const cellOf = ([lon, lat]) => [Math.floor(lon / cellLon), Math.floor(lat / cellLat)]
+  stops.forEach((s, i) => {
+    const key = cellOf(s.coords).join()
+    if (!grid.has(key)) grid.set(key, [])
+    grid.get(key).push(i)
+  })
+  return stops.map((s, i) => {
+    const [cx, cy] = cellOf(s.coords)
+    const out = []
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const j of grid.get(`${cx + dx},${cy + dy}`) || []) {
+          if (j === i) continue
+          const m = distance(s.coords, stops[j].coords)
+          if (m <= WALK_M) out.push([j, Math.round(m * DETOUR / WALK_SPEED), Math.round(m)])
+        }
+      }
+    }
+    return out
+  })
+}
+
+/**
+ * Patterns, trips and footpaths for one service day. `routes` are the
+ * decoded routes (only those with shapes take part), `stops` the network
+ * stop list ({ id, name, coords }), `days` the day and its neighbours
+ * (calendar.js `serviceDays`): the previous day's trips still running
+ * after midnight can be taken too.
+ */
+export function buildTimetable(routes, stops, { days = serviceDays(), schedule } = {}) {
+  const earlier = days.filter(d => d.offset <= 0)
+  const stopIndex = new Map(stops.map((s, i) => [s.id, i]))
+  const patterns = []
+
+  routes.forEach((route, routeIdx) => {
+    if (!route.shapes?.length) return
+    const deps = serviceDepartures(route, 0, DAY_END, earlier, schedule?.[route.id])
+    route.shapes.forEach((sh, shapeIdx) => {
+      const tl = stopTimeline(sh)
+      if (!tl) return
+      const stopIdx = sh.stops.map(s => stopIndex.get(s.id) ?? -1)
+      if (stopIdx.includes(-1)) return
+      const trips = deps
+        .filter(d => d.shapeIdx === shapeIdx)
+        .map(d => ({ dep: d.dep, scale: d.dur / tl.dur }))
+        .sort((a, b) => a.dep - b.dep)
+        .filter((d, i, all) => i === 0 || d.dep !== all[i - 1].dep) // bands listed twice
+      if (!trips.length) return
+      const scales = trips.map(d => d.scale)
+      patterns.push({
+        routeIdx, shapeIdx, stops: stopIdx, offs: tl.offs, tl,
+        deps: Float64Array.from(trips, d => d.dep),
+        scales: Float64Array.from(scales),
+        minScale: Math.min(...scales),
+        maxScale: Math.max(...scales),
+      })
+    })
+  })
+
+  // stop → flat [pattern, position, pattern, position, …]
+  const stopPatterns = stops.map(() => [])
+  patterns.forEach((p, pi) => p.stops.forEach((s, pos) => stopPatterns[s].push(pi, pos)))
+
+  return { routes, stops, stopIndex, patterns, stopPatterns, footpaths: buildFootpaths(stops) }
+}
+
+const timeAt = (pat, trip, pos) => pat.deps[trip] + pat.offs[pos] * pat.scales[trip]
+
+/** Trip of a pattern calling earliest at `pos` no sooner than `ready` (-1: none) */
+function earliestTrip(pat, pos, ready) {
+  const { deps } = pat
+  // Departures that can reach pos by `ready` lie in this window, whatever their pace
+  let lo = 0, hi = deps.length
+  const from = ready - pat.offs[pos] * pat.maxScale
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (deps[mid] < from) lo = mid + 1
+    else hi = mid
+  }
+  let best = -1, bestT = Infinity
+  // Later departures can still overtake: stop once even the fastest pace cannot beat bestT
+  const fastest = pat.offs[pos] * pat.minScale
+  for (let j = lo; j < deps.length; j++) {
+    if (deps[j] + fastest >= bestT) break
+    const t = timeAt(pat, j, pos)
+    if (t >= ready && t < bestT) { best = j; bestT = t }
+  }
+  return best
+}
+
+/** Coordinates of a shape between two of its stops (as the simulation places them) */
+function rideCoords(shape, tl, fromIdx, toIdx) {
+  const table = shapeTable(shape.coordinates)
+  if (!table) return []
+  const d0 = tl.dists[fromIdx] / tl.total * table.len
+  const d1 = tl.dists[toIdx] / tl.total * table.len
+  const out = [pointAlong(table, d0)]
+  for (let i = 0; i < table.cum.length; i++) {
+    if (table.cum[i] > d0 && table.cum[i] < d1) out.push([table.xy[i * 2], table.xy[i * 2 + 1]])
+  }
+  out.push(pointAlong(table, d1))
+  return out
+}
+
+/**
+ * One RAPTOR round: ride every pattern through a stop `marked` last round,
+ * then walk on from the stops reached. Arrivals must beat `best` and
+ * `bound`; `cur`/`curRide` (and `lab`, if given) are updated in place.
+ * Returns the stops improved this round.
+ */
+function scanRound(tt, marked, prev, prevRide, cur, curRide, best, bound, lab) {
+  const { patterns, stopPatterns, footpaths } = tt
+  // Patterns through a stop improved last round, from their earliest such stop
+  const queue = new Map()
+  for (const p of marked) {
+    const sp = stopPatterns[p]
+    for (let i = 0; i < sp.length; i += 2) {
+      const pos = queue.get(sp[i])
+      if (pos === undefined || sp[i + 1] < pos) queue.set(sp[i], sp[i + 1])
+    }
+  }
+  const next = new Set()
+
+  for (const [pi, start] of queue) {
+    const pat = patterns[pi]
+    let trip = -1, boardPos = -1
+    for (let pos = start; pos < pat.stops.length; pos++) {
+      const s = pat.stops[pos]
+      if (trip >= 0) {
+        const a = timeAt(pat, trip, pos)
+        if (a < best[s] && a < bound) {
+          cur[s] = best[s] = a
+          curRide[s] = 1
+          lab?.set(s, { type: 'ride', pattern: pi, trip, from: boardPos, to: pos })
+          next.add(s)
+        }
+      }
+      // Board here, or switch to an earlier trip
+      const ready = prev[s] + (prevRide[s] ? TRANSFER_SEC : 0)
+      if (ready < Infinity && (trip < 0 || ready <= timeAt(pat, trip, pos))) {
+        const j = earliestTrip(pat, pos, ready)
+        if (j >= 0 && (trip < 0 || timeAt(pat, j, pos) < timeAt(pat, trip, pos))) {
+          trip = j
+          boardPos = pos
+        }
+      }
+    }
+  }
+
+  // Walk on from every stop reached by a vehicle this round
+  for (const p of [...next]) {
+    for (const [q, secs, m] of footpaths[p]) {
+      const a = cur[p] + secs
+      if (a < best[q] && a < bound) {
+        cur[q] = best[q] = a
+        curRide[q] = 0
+        lab?.set(q, { type: 'walk', from: p, secs, m })
+        next.add(q)
+      }
+    }
+  }
+  return next
+}
+
+/**
+ * Itineraries from one stop to another leaving at `t0` (seconds of the
+ * service day), one per transfer count that improves the arrival:
+ * [{ dep, arr, transfers, legs }], fewest transfers first. Legs are
+ * { kind: 'ride', routeIdx, lineNumber, color, headsign, from, to,
+ *   fromName, toName, dep, arr, stops, coords } or
+ * { kind: 'walk', from, to, fromName, toName, dep, arr, metres, coords }.
+ */
+export function plan(tt, fromId, toId, t0, { maxRounds = MAX_ROUNDS } = {}) {
+  const { stops, footpaths } = tt
+  const origin = tt.stopIndex.get(fromId), target = tt.stopIndex.get(toId)
+  if (origin == null || target == null || origin === target) return []
+  const n = stops.length
+
+  // Last walk: the destination or any stop within walking distance of it
+  const targetWalk = new Map([[target, [0, 0]]])
+  for (const [q, secs, m] of footpaths[target]) targetWalk.set(q, [secs, m])
+
+  const best = new Float64Array(n).fill(Infinity)  // earliest arrival in any round
+  const arr = [new Float64Array(n).fill(Infinity)] // per round
+  const byRide = [new Uint8Array(n)]               // arrival needs a change time
+  const labels = [new Map()]                        // per round: stop → how it was reached
+  let marked = new Set([origin])
+  arr[0][origin] = best[origin] = t0
+  labels[0].set(origin, { type: 'origin' })
+  for (const [q, secs, m] of footpaths[origin]) {
+    arr[0][q] = best[q] = t0 + secs
+    labels[0].set(q, { type: 'walk', from: origin, secs, m })
+    marked.add(q)
+  }
+
+  let bestTarget = Infinity
+  const found = [] // { round, stop, arrival }
+
+  for (let k = 1; k <= maxRounds && marked.size; k++) {
+    const prev = arr[k - 1], prevRide = byRide[k - 1]
+    const cur = Float64Array.from(prev), curRide = Uint8Array.from(prevRide)
+    const lab = new Map()
+    arr.push(cur); byRide.push(curRide); labels.push(lab)
+
+    marked = scanRound(tt, marked, prev, prevRide, cur, curRide, best, bestTarget, lab)
+
+    let improved = null
+    for (const [s, [secs]] of targetWalk) {
+      // One walk at a time: the last one starts where a vehicle stopped
+      if (s !== target && !curRide[s]) continue
+      if (cur[s] + secs < bestTarget) {
+        bestTarget = cur[s] + secs
+        improved = { round: k, stop: s, arrival: bestTarget }
+      }
+    }
+    if (improved) found.push(improved)
+  }
+
+  return found.map(f => journey(tt, labels, arr, f, target, targetWalk, t0))
+}
+
+/** Walk the labels back from the target into legs */
+function journey(tt, labels, arr, { round, stop, arrival }, target, targetWalk, t0) {
+  const { stops, patterns, routes } = tt
+  const walkLeg = (from, to, dep, secs, metres) => ({
+    kind: 'walk', from: stops[from].id, to: stops[to].id,
+    fromName: stops[from].name, toName: stops[to].name,
+    dep, arr: dep + secs, metres, coords: [stops[from].coords, stops[to].coords],
+  })
+
+  const legs = []
+  if (stop !== target) {
+    const [secs, m] = targetWalk.get(stop)
+    legs.push(walkLeg(stop, target, arrival - secs, secs, m))
+  }
+  let p = stop, r = round
+  for (;;) {
+    while (r > 0 && !labels[r].has(p)) r--
+    const lab = labels[r].get(p)
+    if (!lab || lab.type === 'origin') break
+    if (lab.type === 'walk') {
+      legs.unshift(walkLeg(lab.from, p, arr[r][p] - lab.secs, lab.secs, lab.m))
+      p = lab.from
+      continue
+    }
+    const pat = patterns[lab.pattern]
+    const route = routes[pat.routeIdx], sh = route.shapes[pat.shapeIdx]
+    const from = pat.stops[lab.from]
+    legs.unshift({
+      kind: 'ride',
+      routeIdx: pat.routeIdx,
+      routeId: route.id,
+      lineNumber: route.shortName,
+      color: route.color,
+      headsign: sh.headsign || '',
+      from: stops[from].id, to: stops[p].id,
+      fromName: stops[from].name, toName: stops[p].name,
+      dep: timeAt(pat, lab.trip, lab.from),
+      arr: timeAt(pat, lab.trip, lab.to),
+      stops: lab.to - lab.from,
+      coords: rideCoords(sh, pat.tl, lab.from, lab.to),
+    })
+    p = from
+    r--
+  }
+
+  // A walk before the first vehicle starts just in time to catch it
+  const firstRide = legs.find(l => l.kind === 'ride')
+  if (legs[0]?.kind === 'walk' && firstRide && legs[0] !== firstRide) {
+    const secs = legs[0].arr - legs[0].dep
+    legs[0].arr = firstRide.dep
+    legs[0].dep = firstRide.dep - secs
+  }
+  const rides = legs.filter(l => l.kind === 'ride').length
+  return {
+    dep: legs[0]?.dep ?? t0,
+    arr: arrival,
+    transfers: Math.max(0, rides - 1),
+    legs,
+  }
+}
+
+/**
+ * Every stop reachable from `fromId` within `limit` seconds of leaving at
+ * `t0`: waiting, riding, changing and walking between stops included.
+ * [{ id, coords, secs }] with `secs` the travel time from t0.
+ */
+export function reach(tt, fromId, t0, limit, { maxRounds = MAX_ROUNDS } = {}) {
+  const { stops, footpaths } = tt
+  const origin = tt.stopIndex.get(fromId)
+  if (origin == null) return []
+  const n = stops.length
+  const bound = t0 + limit
+
+  const best = new Float64Array(n).fill(Infinity)
+  let prev = new Float64Array(n).fill(Infinity), prevRide = new Uint8Array(n)
+  prev[origin] = best[origin] = t0
+  let marked = new Set([origin])
+  for (const [q, secs] of footpaths[origin]) {
+    if (t0 + secs >= bound) continue
+    prev[q] = best[q] = t0 + secs
+    marked.add(q)
+  }
+
+  for (let k = 1; k <= maxRounds && marked.size; k++) {
+    const cur = Float64Array.from(prev), curRide = Uint8Array.from(prevRide)
+    marked = scanRound(tt, marked, prev, prevRide, cur, curRide, best, bound)
+    prev = cur
+    prevRide = curRide
+  }
+
+  const out = []
+  best.forEach((a, i) => { if (a < bound) out.push({ id: stops[i].id, coords: stops[i].coords, secs: a - t0 }) })
+  return out
+}
+
+/**
+ * Areas reached within each of the ascending `limits` (seconds), from the
+ * output of `reach`: from every stop you walk on for the time left (up to
+ * WALK_M). The walk is drawn on a grid of `cell`-metre squares, each given
+ * to the smallest limit that covers it, and each row's runs of squares
+ * merged into one rectangle, so the polygons of different limits never
+ * overlap. GeoJSON features with properties { band, minutes }.
+ */
+export function reachAreas(reached, limits, { cell = 100 } = {}) {
+  if (!reached.length) return []
+  const lat0 = reached[0].coords[1]
+  const cellLat = cell / 111320
+  const cellLon = cell / (111320 * Math.cos(lat0 * RAD))
+  const bands = new Map() // "x,y" → band index
+  const maxSpan = Math.ceil(WALK_M / cell)
+
+  for (const { coords: [lon, lat], secs } of reached) {
+    const radii = limits.map(l => (secs < l ? Math.min(WALK_M, (l - secs) * WALK_SPEED / DETOUR) : -1))
+    const cx = Math.floor(lon / cellLon), cy = Math.floor(lat / cellLat)
+    for (let dx = -maxSpan; dx <= maxSpan; dx++) {
+      for (let dy = -maxSpan; dy <= maxSpan; dy++) {
+        const x = cx + dx, y = cy + dy
+        const d = distance([lon, lat], [(x + 0.5) * cellLon, (y + 0.5) * cellLat])
+        const b = radii.findIndex(r => d <= r)
+        if (b < 0) continue
+        const key = `${x},${y}`
+        const had = bands.get(key)
+        if (had === undefined || b < had) bands.set(key, b)
+      }
+    }
+  }
+
+  // Row by row, runs of consecutive squares of one band become a rectangle
+  const rows = new Map()
+  for (const [key, b] of bands) {
+    const [x, y] = key.split(',').map(Number)
+    if (!rows.has(y)) rows.set(y, [])
+    rows.get(y).push([x, b])
+  }
+  const rects = limits.map(() => [])
+  for (const [y, cells] of rows) {
+    cells.sort((a, b) => a[0] - b[0])
+    let start = 0
+    for (let i = 1; i <= cells.length; i++) {
+      if (i < cells.length && cells[i][0] === cells[i - 1][0] + 1 && cells[i][1] === cells[start][1]) continue
+      const x0 = cells[start][0] * cellLon, x1 = (cells[i - 1][0] + 1) * cellLon
+      const y0 = y * cellLat, y1 = (y + 1) * cellLat
+      rects[cells[start][1]].push([[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]])
+      start = i
+    }
+  }
+  return rects.map((polys, band) => ({
+    type: 'Feature',
+    geometry: { type: 'MultiPolygon', coordinates: polys },
+    properties: { band, minutes: Math.round(limits[band] / 60) },
+  })).filter(f => f.geometry.coordinates.length)
+}
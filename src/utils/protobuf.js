@@ -0,0 +1,119 @@
+// ── Protocol Buffers (decoding) ─────────────────────────────
+// Just enough of the protobuf wire format to read GTFS-Realtime feeds
+// without a runtime library. Messages are described by a plain schema:
+//
+//   { fieldNumber: [name, type, repeated?] }
+//
+// where type is 'string' | 'bytes' | 'bool' | 'uint' | 'int' (int32/int64)
+// | 'enum' | 'float' | 'double' or a nested schema object. Unknown fields
+// are skipped, so newer feeds with extra fields still decode. The encoder
+// for tests and the mock server lives in scripts/lib/protobuf.js.
+
+const VARINT = 0, FIXED64 = 1, LEN = 2, FIXED32 = 5
+
+function createReader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return { bytes, view, pos: 0, lo32: 0 }
+}
+
+/**
+ * Varint as a Number (exact up to 2^53, which covers every timestamp);
+ * the low 32 bits are kept in r.lo32 for negative int32 values, which
+ * are sent as 10-byte two's complement.
+ */
+function readVarint(r) {
+  let n = 0, mul = 1, lo = 0, shift = 0, b
+  do {
+    if (r.pos >= r.bytes.length) throw new Error('protobuf: truncated varint')
+    b = r.bytes[r.pos++]
+    n += (b & 0x7f) * mul
+    if (shift < 32) lo |= (b & 0x7f) << shift
+    mul *= 128
+    shift += 7
+  } while (b & 0x80)
+  r.lo32 = lo
+  return n
+}
+
+function skip(r, wire) {
+  if (wire === VARINT) readVarint(r)
+  else if (wire === FIXED64) r.pos += 8
+  else if (wire === LEN) r.pos += readVarint(r)
+  else if (wire === FIXED32) r.pos += 4
+  else throw new Error(`protobuf: unsupported wire type ${wire}`)
+}
+
+const utf8 = new TextDecoder()
+
+function readValue(r, wire, type) {
+  if (typeof type === 'object') {
+    const len = readVarint(r)
+    const end = r.pos + len
+    const msg = readFields(r, end, type)
+    r.pos = end
+    return msg
+  }
+  switch (type) {
+    case 'string': {
+      const len = readVarint(r)
+      const s = utf8.decode(r.bytes.subarray(r.pos, r.pos + len))
+      r.pos += len
+      return s
+    }
+    case 'bytes': {
+      const len = readVarint(r)
+      const b = r.bytes.slice(r.pos, r.pos + len)
+      r.pos += len
+      return b
+    }
+    case 'bool': return readVarint(r) !== 0
+    case 'uint':
+    case 'enum': return readVarint(r)
+    case 'int': {
+      const n = readVarint(r)
+      return n > 2 ** 53 ? r.lo32 : n // large means negative: use the low 32 bits as int32
+    }
+    case 'float': {
+      const v = r.view.getFloat32(r.pos, true)
+      r.pos += 4
+      return v
+    }
+    case 'double': {
+      const v = r.view.getFloat64(r.pos, true)
+      r.pos += 8
+      return v
+    }
+    default:
+      skip(r, wire)
+      return undefined
+  }
+}
+
+function readFields(r, end, schema) {
+  const msg = {}
+  for (const [, [name, , repeated]] of Object.entries(schema)) if (repeated) msg[name] = []
+  while (r.pos < end) {
+    const key = readVarint(r)
+    const field = Math.floor(key / 8), wire = key % 8
+    const spec = schema[field]
+    if (!spec) { skip(r, wire); continue }
+    const [name, type, repeated] = spec
+    // Packed repeated scalars arrive as one length-delimited run
+    if (repeated && wire === LEN && typeof type === 'string' && type !== 'string' && type !== 'bytes') {
+      const stop = r.pos + readVarint(r)
+      while (r.pos < stop) msg[name].push(readValue(r, type === 'float' ? FIXED32 : type === 'double' ? FIXED64 : VARINT, type))
+      continue
+    }
+    const v = readValue(r, wire, type)
+    if (repeated) msg[name].push(v)
+    else msg[name] = v
+  }
+  return msg
+}
+
+/** Decode a message (Uint8Array or ArrayBuffer) with the given schema */
+export function decodeMessage(bytes, schema) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+  const r = createReader(u8)
+  return readFields(r, u8.length, schema)
+}
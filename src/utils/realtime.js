@@ -0,0 +1,293 @@
+// ── GTFS-Realtime ───────────────────────────────────────────
+// Polls VehiclePositions and TripUpdates protobuf feeds and turns them
+// into plain objects the map can draw next to the simulation:
+//
+//   live vehicles  → drawn on the `buses` source with a ring, and the
+//                    simulated vehicle of the same trip is hidden
+//   trip delays    → shift the simulated vehicles of trips that have no
+//                    position in the feed
+//
+// Feed ids (route_id, trip_id) are the agency's raw GTFS ids; the page
+// namespaces them with the configured feed id ("emt:001"). Like sim.js,
+// this module is DOM-free and runs under Node (scripts/mock-gtfs-rt.js
+// shares its schema), so imports carry their .js extension.
+
+import { decodeMessage } from './protobuf.js'
+
+export const STALE_SEC = 90      // feed header older than this → stale
+const DEFAULT_INTERVAL_SEC = 15
+const MATCH_DEP_SEC = 120        // start_time ↔ simulated departure tolerance
+const MATCH_M = 1500             // nearest simulated vehicle, when there is no start_time
+
+// ── Schema (subset of gtfs-realtime.proto) ────────────────
+const TRIP_DESCRIPTOR = {
+  1: ['tripId', 'string'],
+  2: ['startTime', 'string'],
+  3: ['startDate', 'string'],
+  4: ['scheduleRelationship', 'enum'],
+  5: ['routeId', 'string'],
+  6: ['directionId', 'uint'],
+}
+const VEHICLE_DESCRIPTOR = {
+  1: ['id', 'string'],
+  2: ['label', 'string'],
+  3: ['licensePlate', 'string'],
+}
+const POSITION = {
+  1: ['latitude', 'float'],
+  2: ['longitude', 'float'],
+  3: ['bearing', 'float'],
+  4: ['odometer', 'double'],
+  5: ['speed', 'float'],
+}
+const VEHICLE_POSITION = {
+  1: ['trip', TRIP_DESCRIPTOR],
+  2: ['position', POSITION],
+  3: ['currentStopSequence', 'uint'],
+  4: ['currentStatus', 'enum'],
+  5: ['timestamp', 'uint'],
+  7: ['stopId', 'string'],
+  8: ['vehicle', VEHICLE_DESCRIPTOR],
+}
+const STOP_TIME_EVENT = {
+  1: ['delay', 'int'],
+  2: ['time', 'int'],
+  3: ['uncertainty', 'int'],
+}
+const STOP_TIME_UPDATE = {
+  1: ['stopSequence', 'uint'],
+  2: ['arrival', STOP_TIME_EVENT],
+  3: ['departure', STOP_TIME_EVENT],
+  4: ['stopId', 'string'],
+  5: ['scheduleRelationship', 'enum'],
+}
+const TRIP_UPDATE = {
+  1: ['trip', TRIP_DESCRIPTOR],
+  2: ['stopTimeUpdate', STOP_TIME_UPDATE, true],
+  3: ['vehicle', VEHICLE_DESCRIPTOR],
+  4: ['timestamp', 'uint'],
+  5: ['delay', 'int'],
+}
+const FEED_ENTITY = {
+  1: ['id', 'string'],
+  2: ['isDeleted', 'bool'],
+  3: ['tripUpdate', TRIP_UPDATE],
+  4: ['vehicle', VEHICLE_POSITION],
+}
+const FEED_HEADER = {
+  1: ['gtfsRealtimeVersion', 'string'],
+  2: ['incrementality', 'enum'],
+  3: ['timestamp', 'uint'],
+}
+export const FEED_MESSAGE = {
+  1: ['header', FEED_HEADER],
+  2: ['entity', FEED_ENTITY, true],
+}
+
+export const SCHEDULE_CANCELED = 3 // TripDescriptor.ScheduleRelationship
+export const STOPPED_AT = 1        // VehiclePosition.VehicleStopStatus
+
+// ── Config ────────────────────────────────────────────────
+/**
+ * Realtime settings from Vite env variables, or null when no feed URL is
+ * configured (the app then runs on the simulation alone):
+ *   VITE_GTFS_RT_VEHICLES_URL, VITE_GTFS_RT_TRIP_UPDATES_URL,
+ *   VITE_GTFS_RT_FEED (feed id the raw ids belong to),
+ *   VITE_GTFS_RT_INTERVAL (seconds between polls)
+ */
+export function realtimeConfig(env) {
+  const vehiclesUrl = env.VITE_GTFS_RT_VEHICLES_URL || ''
+  const tripUpdatesUrl = env.VITE_GTFS_RT_TRIP_UPDATES_URL || ''
+  if (!vehiclesUrl && !tripUpdatesUrl) return null
+  return {
+    vehiclesUrl,
+    tripUpdatesUrl,
+    feed: env.VITE_GTFS_RT_FEED || 'emt',
+    intervalMs: (Number(env.VITE_GTFS_RT_INTERVAL) || DEFAULT_INTERVAL_SEC) * 1000,
+  }
+}
+
+// ── Decoding ──────────────────────────────────────────────
+/** "HH:MM:SS" (hours may exceed 23) → seconds since midnight, or null */
+export function parseClock(str) {
+  const m = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec(str || '')
+  return m ? +m[1] * 3600 + +m[2] * 60 + +m[3] : null
+}
+
+function tripFields(trip = {}) {
+  return {
+    tripId: trip.tripId || null,
+    routeId: trip.routeId || null,
+    directionId: trip.directionId ?? null,
+    startTime: parseClock(trip.startTime),
+    startDate: trip.startDate || null,
+    canceled: trip.scheduleRelationship === SCHEDULE_CANCELED,
+  }
+}
+
+/** Current delay of a trip update: its own, else the next stop's */
+function tripDelay(tu) {
+  if (tu.delay != null) return tu.delay
+  for (const u of tu.stopTimeUpdate) {
+    const d = u.arrival?.delay ?? u.departure?.delay
+    if (d != null) return d
+  }
+  return null
+}
+
+/**
+ * Protobuf FeedMessage → { timestamp (s), vehicles, tripUpdates }.
+ * vehicles: [{ id, label, tripId, routeId, directionId, startTime (s),
+ *   lon, lat, bearing, speed, stopId, stopped, timestamp }]
+ * tripUpdates: [{ tripId, routeId, directionId, startTime, canceled, delay (s) }]
+ * Entities without a position or a delay are dropped.
+ */
+export function decodeFeed(bytes) {
+  const msg = decodeMessage(bytes, FEED_MESSAGE)
+  const vehicles = [], tripUpdates = []
+  for (const e of msg.entity) {
+    if (e.isDeleted) continue
+    const vp = e.vehicle
+    if (vp?.position && (vp.position.latitude || vp.position.longitude)) {
+      vehicles.push({
+        id: vp.vehicle?.id || e.id,
+        label: vp.vehicle?.label || '',
+        ...tripFields(vp.trip),
+        lon: vp.position.longitude,
+        lat: vp.position.latitude,
+        bearing: vp.position.bearing ?? null,
+        speed: vp.position.speed ?? null,
+        stopId: vp.stopId || null,
+        stopped: vp.currentStatus === STOPPED_AT,
+        timestamp: vp.timestamp || msg.header?.timestamp || 0,
+      })
+    }
+    const tu = e.tripUpdate
+    if (tu?.trip) {
+      const fields = tripFields(tu.trip)
+      const delay = tripDelay(tu)
+      if (delay != null || fields.canceled) tripUpdates.push({ ...fields, delay: delay || 0 })
+    }
+  }
+  return { timestamp: msg.header?.timestamp || 0, vehicles, tripUpdates }
+}
+
+// ── Polling ───────────────────────────────────────────────
+async function fetchFeed(url, signal) {
+  const res = await fetch(url, { signal, cache: 'no-store' })
+  if (!res.ok) throw new Error(`HTTP ${res.status} al cargar ${url}`)
+  return decodeFeed(new Uint8Array(await res.arrayBuffer()))
+}
+
+/**
+ * Poll the configured feeds every config.intervalMs. onUpdate receives
+ * { vehicles, tripUpdates, timestamp, fetchedAt, error } after each round;
+ * a failed round keeps the last good data and reports the error.
+ * Returns { start, stop }.
+ */
+export function createRealtimeClient(config, { onUpdate }) {
+  let running = false
+  let timer = null
+  let ctrl = null
+  let last = { vehicles: [], tripUpdates: [], timestamp: 0, fetchedAt: 0, error: null }
+
+  async function poll() {
+    // stop() aborts this poll's controller: a poll outlived by its start()
+    // neither reports nor reschedules, even once start() runs again
+    const mine = ctrl = new AbortController()
+    try {
+      const [vp, tu] = await Promise.all([
+        config.vehiclesUrl ? fetchFeed(config.vehiclesUrl, mine.signal) : null,
+        config.tripUpdatesUrl && config.tripUpdatesUrl !== config.vehiclesUrl
+          ? fetchFeed(config.tripUpdatesUrl, mine.signal)
+          : null,
+      ])
+      if (mine.signal.aborted) return
+      // Either endpoint may carry both entity kinds (or be the same URL)
+      last = {
+        vehicles: [...(vp?.vehicles || []), ...(tu?.vehicles || [])],
+        tripUpdates: [...(vp?.tripUpdates || []), ...(tu?.tripUpdates || [])],
+        timestamp: Math.max(vp?.timestamp || 0, tu?.timestamp || 0),
+        fetchedAt: Date.now(),
+        error: null,
+      }
+    } catch (err) {
+      if (mine.signal.aborted) return
+      console.warn('GTFS-RT:', err.message)
+      last = { ...last, error: err.message }
+    }
+    if (mine.signal.aborted) return
+    onUpdate(last)
+    timer = setTimeout(poll, config.intervalMs)
+  }
+
+  return {
+    start() {
+      if (running) return
+      running = true
+      poll()
+    },
+    stop() {
+      running = false
+      clearTimeout(timer)
+      ctrl?.abort()
+    },
+  }
+}
+
+/**
+ * 'live' | 'stale' | 'error' for the HUD: stale once the newest header
+ * timestamp (or, without one, the last successful fetch) is older than
+ * STALE_SEC; error when the last poll failed and nothing fresh is left.
+ */
+export function feedStatus(update, nowMs = Date.now()) {
+  if (!update) return 'error'
+  const ageSec = feedAge(update, nowMs)
+  if (ageSec == null || ageSec > STALE_SEC) return update.error ? 'error' : 'stale'
+  return 'live'
+}
+
+/** Seconds since the data was produced, or null before the first good fetch */
+export function feedAge(update, nowMs = Date.now()) {
+  const at = update?.timestamp ? update.timestamp * 1000 : update?.fetchedAt
+  return at ? Math.max(0, (nowMs - at) / 1000) : null
+}
+
+// ── Matching live and simulated trips ─────────────────────
+/**
+ * Which simulated vehicles a live one replaces. `sim` and `live` are
+ * [{ ri, direction, dep, lon, lat }] (live `dep` is the trip's start_time,
+ * possibly null; `direction` may be null). Each live vehicle claims the
+ * simulated vehicle of the same route and direction with the closest
+ * departure, or failing that the nearest one. Returns the set of `sim`
+ * indices to hide.
+ */
+export function matchLive(sim, live) {
+  const byRoute = new Map()
+  sim.forEach((s, i) => {
+    if (!byRoute.has(s.ri)) byRoute.set(s.ri, [])
+    byRoute.get(s.ri).push(i)
+  })
+  const hidden = new Set()
+  const kmLat = 111.32, kmLon = 111.32 * Math.cos(40.4 * Math.PI / 180)
+
+  for (const v of live) {
+    let best = -1, bestScore = Infinity
+    for (const i of byRoute.get(v.ri) || []) {
+      const s = sim[i]
+      if (hidden.has(i)) continue
+      if (v.direction != null && s.direction !== v.direction) continue
+      let score
+      if (v.dep != null) {
+        score = Math.abs(s.dep - v.dep)
+        if (score > MATCH_DEP_SEC) continue
+      } else {
+        score = Math.hypot((s.lon - v.lon) * kmLon, (s.lat - v.lat) * kmLat) * 1000
+        if (score > MATCH_M) continue
+      }
+      if (score < bestScore) { best = i; bestScore = score }
+    }
+    if (best >= 0) hidden.add(best)
+  }
+  return hidden
+}
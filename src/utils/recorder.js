@@ -0,0 +1,108 @@
+// ── Frame recorder ──────────────────────────────────────────
+// Turns frames drawn one at a time on a canvas into a file: a WebM video
+// (MediaRecorder on the canvas stream) or a ZIP of numbered PNGs. Frames
+// arrive as slowly as the map takes to render them, so the video recorder
+// only runs for 1/fps of a second per frame and is paused in between —
+// the file plays at the requested rate whatever the render time.
+
+import { zipFiles } from './zip.js'
+
+export const RECORD_FORMATS = {
+  webm: { ext: 'webm', label: 'WebM' },
+  png: { ext: 'zip', label: 'PNG (zip)' },
+}
+
+const VIDEO_BITRATE = 8_000_000
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+/** The WebM flavour this browser can record, or null */
+export function webmType() {
+  if (typeof MediaRecorder === 'undefined') return null
+  return WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || null
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+/**
+ * Recorder for `canvas` in `format` ('webm' | 'png'): { addFrame(),
+ * finish() → Blob, cancel() }. Call addFrame() once the canvas holds the
+ * next frame, and wait for it before drawing another.
+ */
+export function createRecorder(canvas, { format, fps }) {
+  if (format === 'png') {
+    const files = []
+    return {
+      async addFrame() {
+        const blob = await new Promise(r => canvas.toBlob(r, 'image/png'))
+        files.push({ name: `frame-${String(files.length).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) })
+      },
+      async finish() { return zipFiles(files) },
+      cancel() { files.length = 0 },
+    }
+  }
+
+  const type = webmType()
+  if (!type) throw new Error('WebM recording is not supported in this browser')
+  const stream = canvas.captureStream(0)
+  const track = stream.getVideoTracks()[0]
+  const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: VIDEO_BITRATE })
+  const chunks = []
+  recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data) }
+  recorder.start()
+  recorder.pause()
+  const stop = () => new Promise(r => {
+    recorder.onstop = r
+    if (recorder.state !== 'inactive') recorder.stop()
+    else r()
+  })
+  return {
+    async addFrame() {
+      recorder.resume()
+      track.requestFrame()
+      await sleep(1000 / fps)
+      recorder.pause()
+    },
+    async finish() {
+      await stop()
+      track.stop()
+      return new Blob(chunks, { type: 'video/webm' })
+    },
+    cancel() {
+      stop()
+      track.stop()
+    },
+  }
+}
+
+/**
+ * The HUD clock burned into a frame: `time` large and `caption` under it,
+ * in the HUD's colours, on a dark box in the top-left corner. Sizes
+ * follow the frame height so every resolution looks the same.
+ */
+export function drawClock(ctx, time, caption) {
+  const font = px => `${px}px 'Press Start 2P', monospace`
+  const big = Math.round(ctx.canvas.height / 22), small = Math.round(big / 2.4), pad = Math.round(big / 2)
+  ctx.save()
+  ctx.font = font(big)
+  const timeW = ctx.measureText(time).width
+  ctx.font = font(small)
+  const captionW = ctx.measureText(caption).width
+  ctx.fillStyle = 'rgba(0,0,0,.7)'
+  ctx.strokeStyle = '#FFD700'
+  ctx.lineWidth = Math.max(1, Math.round(big / 12))
+  ctx.beginPath()
+  ctx.roundRect(pad, pad, Math.max(timeW, captionW) + pad * 2, big + small + pad * 2.6, pad / 2)
+  ctx.fill()
+  ctx.stroke()
+  ctx.textBaseline = 'top'
+  ctx.font = font(big)
+  ctx.fillStyle = '#00FFFF'
+  ctx.shadowColor = 'rgba(0,255,255,.4)'
+  ctx.shadowBlur = big / 2
+  ctx.fillText(time, pad * 2, pad * 2)
+  ctx.shadowBlur = 0
+  ctx.font = font(small)
+  ctx.fillStyle = '#FFD700'
+  ctx.fillText(caption, pad * 2, pad * 2 + big + pad * 0.6)
+  ctx.restore()
+}
@@ -0,0 +1,233 @@
+// ── Vehicle simulation ──────────────────────────────────────
+// Pure, DOM-free core of the animation: which trips are on the road at a
+// given second and where along their shape each vehicle is. It runs inside
+// src/sim.worker.js and under Node (scripts/snapshot.js, through
+// engine.js), so nothing here may touch the map or the page, and imports
+// carry their .js extension.
+//
+// Shapes are turned once into flat coordinate and cumulative-distance
+// tables; placing a vehicle is then a binary search plus one
+// interpolation instead of a turf.along walk over the whole line.
+
+import { serviceRuns } from './calendar.js'
+
+export const DWELL_SEC = 20 // simulated seconds a bus waits at each stop
+const MIN_SHAPE_M = 50      // shorter shapes are noise and get no vehicles
+
+const R = 6371008.8 // mean Earth radius, metres
+const RAD = Math.PI / 180
+
+function haversine(lon1, lat1, lon2, lat2) {
+  const dLat = (lat2 - lat1) * RAD
+  const dLon = (lon2 - lon1) * RAD
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin(dLon / 2) ** 2
+  return 2 * R * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * [[lon, lat], …] → { xy, cum, len }: coordinates flattened into a
+ * Float64Array and the distance (m) from the start at every vertex.
+ * Null for degenerate shapes.
+ */
+export function shapeTable(coordinates) {
+  const n = coordinates?.length || 0
+  if (n < 2) return null
+  const xy = new Float64Array(n * 2)
+  const cum = new Float64Array(n)
+  for (let i = 0; i < n; i++) {
+    xy[i * 2] = coordinates[i][0]
+    xy[i * 2 + 1] = coordinates[i][1]
+    if (i > 0) cum[i] = cum[i - 1] + haversine(xy[i * 2 - 2], xy[i * 2 - 1], xy[i * 2], xy[i * 2 + 1])
+  }
+  const len = cum[n - 1]
+  return len > MIN_SHAPE_M ? { xy, cum, len } : null
+}
+
+/** Index of the last vertex of a shapeTable() at or before `d` metres */
+function vertexAt(cum, d) {
+  let lo = 0, hi = cum.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (cum[mid] <= d) lo = mid
+    else hi = mid - 1
+  }
+  return lo
+}
+
+/** [lon, lat] at `d` metres along a shapeTable() */
+export function pointAlong({ xy, cum }, d) {
+  const last = cum.length - 1
+  if (d <= 0) return [xy[0], xy[1]]
+  if (d >= cum[last]) return [xy[last * 2], xy[last * 2 + 1]]
+  const lo = vertexAt(cum, d)
+  const seg = cum[lo + 1] - cum[lo]
+  const f = seg > 0 ? (d - cum[lo]) / seg : 0
+  return [
+    xy[lo * 2] + f * (xy[lo * 2 + 2] - xy[lo * 2]),
+    xy[lo * 2 + 1] + f * (xy[lo * 2 + 3] - xy[lo * 2 + 1]),
+  ]
+}
+
+/**
+ * Heading at `d` metres along a shapeTable(), in degrees clockwise from
+ * north (0 = N, 90 = E) — the direction of the segment being travelled.
+ */
+export function bearingAlong({ xy, cum }, d) {
+  let i = Math.min(vertexAt(cum, Math.max(0, d)), cum.length - 2)
+  // Skip zero-length segments (repeated points) so the heading is defined
+  while (i < cum.length - 2 && cum[i + 1] === cum[i]) i++
+  const dx = (xy[i * 2 + 2] - xy[i * 2]) * Math.cos(xy[i * 2 + 1] * RAD)
+  const dy = xy[i * 2 + 3] - xy[i * 2 + 1]
+  return (Math.atan2(dx, dy) / RAD + 360) % 360
+}
+
+/**
+ * Per-shape stop timeline: seconds since the first stop (`offs`) and
+ * shape distance (`dists`) for each stop, from the preprocessed `arr`
+ * and `dist` values. Null when the stops carry no usable timing.
+ */
+export function stopTimeline(shape) {
+  const stops = shape?.stops
+  if (!stops || stops.length < 2) return null
+  const t0 = stops[0].arr
+  const offs = stops.map(s => s.arr - t0)
+  const dists = stops.map(s => s.dist)
+  const dur = offs[offs.length - 1]
+  const total = dists[dists.length - 1]
+  if (!(dur > 0) || !(total > 0)) return null
+  return { offs, dists, dur, total }
+}
+
+/**
+ * Where a bus is `elapsed` seconds into a trip lasting `dur` seconds:
+ * { progress } as a 0…1 fraction of the shape, plus `stopIdx` while the
+ * bus is dwelling at a stop. The trip is stretched onto the timeline so
+ * bands with a different trip duration keep the same per-stop pacing.
+ */
+export function tripPosition(tl, elapsed, dur) {
+  if (!tl) return { progress: elapsed / dur, stopIdx: -1 }
+  const { offs, dists, total } = tl
+  const e = elapsed * tl.dur / dur
+  const last = offs.length - 1
+  if (e >= offs[last]) return { progress: dists[last] / total, stopIdx: last }
+
+  // Last stop whose offset is ≤ e (offsets are non-decreasing)
+  let lo = 0, hi = last
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (offs[mid] <= e) lo = mid
+    else hi = mid - 1
+  }
+  const seg = offs[lo + 1] - offs[lo]
+  const dwell = Math.min(DWELL_SEC, seg / 3)
+  const into = e - offs[lo]
+  if (into < dwell) return { progress: dists[lo] / total, stopIdx: lo }
+  const f = seg > dwell ? (into - dwell) / (seg - dwell) : 1
+  return { progress: (dists[lo] + f * (dists[lo + 1] - dists[lo])) / total, stopIdx: -1 }
+}
+
+/**
+ * Index into route.shapes for a band or trip: exact shape_id first, then
+ * any variant of the same direction. Data preprocessed before bands
+ * carried a shape falls back to the first shape.
+ */
+export function shapeIndex(route, shapeId, direction) {
+  if (shapeId != null) {
+    const i = route.shapes.findIndex(sh => sh.shapeId === shapeId)
+    if (i >= 0) return i
+  }
+  if (direction != null) {
+    const i = route.shapes.findIndex(sh => sh.direction === direction)
+    if (i >= 0) return i
+  }
+  return 0
+}
+
+// Resolved shapeIndex() per band or trip, kept beside the route data
+// rather than written into it
+const shapeIdxCache = new WeakMap()
+
+function shapeIdxOf(route, item) {
+  let i = shapeIdxCache.get(item)
+  if (i === undefined) {
+    i = shapeIndex(route, item.shapeId, item.direction)
+    shapeIdxCache.set(item, i)
+  }
+  return i
+}
+
+/**
+ * Every trip of a route on the road at some point in [from, to]: a
+ * departure `dep` with dep ≤ to and dep + dur ≥ from, from the frequency
+ * bands and timetable-only trips whose service runs that day. Returns
+ * [{ id, dep, dur, shapeIdx }]; `id` is stable for as long as the trip
+ * is running (route, shape and departure, or the GTFS trip_id).
+ */
+export function departures(route, from, to, services, trips) {
+  const out = []
+
+  for (const band of route.frequencies || []) {
+    if (band.headway <= 0) continue
+    if (!serviceRuns(services, band.serviceId)) continue
+    const dur = band.tripDur || route.tripDuration || 1800
+    const shapeIdx = shapeIdxOf(route, band)
+
+    // Departures start + k·headway with from − dur ≤ dep ≤ to and dep < end
+    const h = band.headway
+    const kMin = Math.max(0, Math.ceil((from - dur - band.startSec) / h))
+    const kMax = Math.min(
+      Math.floor((to - band.startSec) / h),
+      Math.ceil((band.endSec - band.startSec) / h) - 1,
+    )
+    for (let k = kMin; k <= kMax; k++) {
+      const dep = band.startSec + k * h
+      out.push({ id: `${route.id}/${band.shapeId ?? shapeIdx}/${dep}`, dep, dur, shapeIdx })
+    }
+  }
+
+  // Timetable trips are sorted by departure, so stop at the first one after `to`
+  for (const trip of trips || []) {
+    if (trip.dep > to) break
+    if (trip.dur <= 0 || from - trip.dep > trip.dur) continue
+    if (!serviceRuns(services, trip.serviceId)) continue
+    const shapeIdx = shapeIdxOf(route, trip)
+    out.push({ id: `${route.id}/${trip.tripId}`, dep: trip.dep, dur: trip.dur, shapeIdx })
+  }
+  return out
+}
+
+/**
+ * departures() over several service days — `days` as calendar.js
+ * `serviceDays` gives them, [{ services, offset }] — so trips that left
+ * the previous evening are still on the road after midnight. `from`, `to`
+ * and the returned `dep` are on the clock of the day with offset 0; a
+ * trip of another day also carries its `offset`.
+ */
+export function serviceDepartures(route, from, to, days, trips) {
+  const out = []
+  for (const { services, offset } of days) {
+    for (const d of departures(route, from - offset, to - offset, services, trips)) {
+      out.push(offset ? { ...d, dep: d.dep + offset, offset } : d)
+    }
+  }
+  return out
+}
+
+/**
+ * Given a route's frequency bands, its timetable-only trips, the current
+ * simulated time and the service days around it (calendar.js
+ * `serviceDays`), return an array of { id, elapsed, dur, shapeIdx } for
+ * each bus currently on-route.
+ */
+export function activeBuses(route, simTime, days, trips) {
+  return serviceDepartures(route, simTime, simTime, days, trips)
+    .map(d => ({ ...d, elapsed: simTime - d.dep }))
+}
+
+/**
+ * Values per vehicle in the worker's frame buffer: route index, shape
+ * index, lon, lat, bearing, moving (1, or 0 while dwelling at a stop),
+ * departure second (with the route and shape, a stable vehicle key)
+ */
+export const BUS_STRIDE = 7
@@ -0,0 +1,198 @@
+// ── Vehicle sprites ─────────────────────────────────────────
+// Canvas-drawn icons returned as ImageData for map.addImage().
+// EMT buses are Pac-Man; every other mode gets its own ghost.
+
+export const MODE_LABELS = {
+  0: 'Metro Ligero / Tranvía',
+  1: 'Metro',
+  2: 'Cercanías',
+  3: 'Autobús',
+  4: 'Ferry',
+  5: 'Teleférico',
+}
+
+/** Default sprite per GTFS base mode */
+const MODE_SPRITES = {
+  0: { kind: 'ghost', color: '#00FFFF' }, // Inky
+  1: { kind: 'ghost', color: '#FF0000' }, // Blinky
+  2: { kind: 'ghost', color: '#FFB8FF' }, // Pinky
+  3: { kind: 'pacman', color: '#FFD700' },
+}
+/** Fallbacks when two feeds share a mode (e.g. EMT and interurban buses) */
+const SPARE_GHOSTS = ['#FFB852', '#7FFF00', '#DA70D6', '#1E90FF']
+
+export const HIGHLIGHT_COLOR = '#00FF88'
+
+/** Mouth half-openings (fraction of π) for the chomp cycle: open, half, closed */
+const MOUTH = [0.25, 0.13, 0.02]
+const CHOMP = [0, 1, 2, 1]
+const CHOMP_MS = 110 // real milliseconds per animation frame
+
+/** Where ghost pupils sit (in body radii) for each gaze */
+const GAZE = {
+  r: [0.1, 0.07], l: [-0.1, 0.07], u: [0, -0.1], d: [0, 0.17],
+  idle: [0, 0.07],
+}
+
+/**
+ * Create a Pac-Man icon as raw pixel data, facing RIGHT — or LEFT when
+ * `flip`, which keeps the eye on top for westbound vehicles. `mouth` is
+ * the half-opening of the mouth as a fraction of π.
+ */
+export function createPacmanIcon(size = 48, color = '#FFD700', { mouth = MOUTH[0], flip = false } = {}) {
+  const c = document.createElement('canvas')
+  c.width = size; c.height = size
+  const ctx = c.getContext('2d')
+  const cx = size / 2, cy = size / 2, r = size / 2 - 2
+  if (flip) {
+    ctx.translate(size, 0)
+    ctx.scale(-1, 1)
+  }
+
+  // Body — mouth opens to the right
+  ctx.fillStyle = color
+  ctx.beginPath()
+  ctx.moveTo(cx, cy)
+  ctx.arc(cx, cy, r, mouth * Math.PI, (2 - mouth) * Math.PI)
+  ctx.closePath()
+  ctx.fill()
+
+  // Eye
+  ctx.fillStyle = '#000'
+  ctx.beginPath()
+  ctx.arc(cx + 2, cy - r * 0.38, size * 0.06, 0, Math.PI * 2)
+  ctx.fill()
+
+  return ctx.getImageData(0, 0, size, size)
+}
+
+/**
+ * Create a classic ghost (dome, wavy skirt, eyes) as raw pixel data.
+ * `gaze` is a GAZE key; `wiggle` 1 shifts the skirt for the walk cycle.
+ */
+export function createGhostIcon(size = 48, color = '#FF0000', { gaze = 'r', wiggle = 0 } = {}) {
+  const c = document.createElement('canvas')
+  c.width = size; c.height = size
+  const ctx = c.getContext('2d')
+  const pad = 3, w = size - pad * 2, r = w / 2
+  const top = pad, bottom = size - pad, cx = size / 2
+
+  // Body — dome on top, three scallops along the bottom (four when wiggling)
+  ctx.fillStyle = color
+  ctx.beginPath()
+  ctx.arc(cx, top + r, r, Math.PI, 0)
+  ctx.lineTo(size - pad, bottom)
+  const n = wiggle ? 4 : 3
+  const bump = w / (2 * n), depth = w / 6 * 1.4
+  for (let i = 0; i < n; i++) {
+    const x = size - pad - i * 2 * bump
+    ctx.quadraticCurveTo(x - bump, bottom - depth, x - 2 * bump, bottom)
+  }
+  ctx.closePath()
+  ctx.fill()
+
+  // Eyes
+  const [gx, gy] = GAZE[gaze]
+  for (const ex of [cx - r * 0.38, cx + r * 0.38]) {
+    ctx.fillStyle = '#fff'
+    ctx.beginPath()
+    ctx.ellipse(ex, top + r * 0.95, r * 0.26, r * 0.32, 0, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.fillStyle = '#1E3FFF'
+    ctx.beginPath()
+    ctx.arc(ex + r * gx, top + r * (0.95 + gy), r * 0.14, 0, Math.PI * 2)
+    ctx.fill()
+  }
+
+  return ctx.getImageData(0, 0, size, size)
+}
+
+/** Every pose registered per feed, with the options that draw it */
+const POSES = {
+  pacman: Object.fromEntries([false, true].flatMap(flip => {
+    const f = flip ? 'f' : ''
+    return [
+      ...MOUTH.map((mouth, i) => [`m${i}${f}`, { mouth, flip }]),
+      [`idle${f}`, { mouth: MOUTH[2], flip }],
+    ]
+  })),
+  ghost: Object.fromEntries([
+    ...['r', 'l', 'u', 'd'].flatMap(gaze => [0, 1].map(wiggle => [`${gaze}${wiggle}`, { gaze, wiggle }])),
+    ['idle', { gaze: 'idle', wiggle: 0 }],
+  ]),
+}
+
+/**
+ * Sprite pose for a vehicle: { pose, rotate }. `bearing` is its heading
+ * on screen (degrees clockwise from up). Pac-Man turns to face it, using
+ * the mirrored sprite when heading left so the eye stays up, and chomps
+ * while moving; ghosts stay upright and look where they are going.
+ * Stopped vehicles get the still `idle` pose.
+ */
+export function vehiclePose(kind, bearing, moving, now) {
+  const b = ((bearing % 360) + 360) % 360
+  if (kind === 'pacman') {
+    const flip = b > 180
+    const mouth = moving ? `m${CHOMP[Math.floor(now / CHOMP_MS) % CHOMP.length]}` : 'idle'
+    return { pose: mouth + (flip ? 'f' : ''), rotate: flip ? b - 270 : b - 90 }
+  }
+  if (!moving) return { pose: 'idle', rotate: 0 }
+  const gaze = b < 45 || b >= 315 ? 'u' : b < 135 ? 'r' : b < 225 ? 'd' : 'l'
+  return { pose: `${gaze}${Math.floor(now / (CHOMP_MS * 2)) % 2}`, rotate: 0 }
+}
+
+/**
+ * Sprite for each feed: { [feedId]: { kind, color } }. The first feed of a
+ * mode gets that mode's sprite, later ones a spare ghost colour.
+ */
+export function feedSprites(feeds) {
+  const used = new Set()
+  let spare = 0
+  const out = {}
+  for (const f of feeds) {
+    const def = MODE_SPRITES[f.mode] || MODE_SPRITES[3]
+    const key = `${def.kind}:${def.color}`
+    out[f.id] = used.has(key)
+      ? { kind: 'ghost', color: SPARE_GHOSTS[spare++ % SPARE_GHOSTS.length] }
+      : def
+    used.add(key)
+  }
+  return out
+}
+
+/**
+ * Register every pose of every feed's sprite as `icon-<feedId>-<pose>`,
+ * plus `icon-<feedId>-hl-<pose>` in the highlight colour
+ */
+export function addFeedIcons(map, sprites, size = 48) {
+  for (const [id, sp] of Object.entries(sprites)) {
+    const draw = sp.kind === 'pacman' ? createPacmanIcon : createGhostIcon
+    for (const [pose, opts] of Object.entries(POSES[sp.kind])) {
+      map.addImage(`icon-${id}-${pose}`, draw(size, sp.color, opts))
+      map.addImage(`icon-${id}-hl-${pose}`, draw(size, HIGHLIGHT_COLOR, opts))
+    }
+  }
+}
+
+/** Game mode: the four arcade ghosts buses are drawn as, in order */
+export const GAME_GHOSTS = ['#FF0000', '#FFB8FF', '#00FFFF', '#FFB852']
+const FRIGHT_COLOR = '#2121FF'
+const FRIGHT_END_COLOR = '#FFFFFF'
+
+/**
+ * Register the game-mode sprites: the player (`icon-player-<pose>`),
+ * one ghost per GAME_GHOSTS colour (`icon-ghost<i>-<pose>`) and the
+ * vulnerable ghost, blue and flashing white (`icon-fright-<pose>`,
+ * `icon-fright-end-<pose>`)
+ */
+export function addGameIcons(map, size = 48) {
+  if (map.hasImage('icon-player-idle')) return
+  for (const [pose, opts] of Object.entries(POSES.pacman)) {
+    map.addImage(`icon-player-${pose}`, createPacmanIcon(size, '#FFD700', opts))
+  }
+  for (const [pose, opts] of Object.entries(POSES.ghost)) {
+    GAME_GHOSTS.forEach((color, i) => map.addImage(`icon-ghost${i}-${pose}`, createGhostIcon(size, color, opts)))
+    map.addImage(`icon-fright-${pose}`, createGhostIcon(size, FRIGHT_COLOR, opts))
+    map.addImage(`icon-fright-end-${pose}`, createGhostIcon(size, FRIGHT_END_COLOR, opts))
+  }
+}
@@ -0,0 +1,65 @@
+// ── Shareable view in the URL ───────────────────────────────
+// The query string carries what is needed to reopen the same view:
+//
+//   ?t=08:15&play=0&d=2025-03-14&r=emt:027&q=27&c=-3.70380,40.41680,13.50,0
+//
+// t      simulated clock, HH:MM (hours past 24 for after-midnight service)
+// play   0 when paused
+// d      simulated day (service calendar)
+// r      selected route id
+// q      search query
+// c      camera: longitude, latitude, zoom, bearing
+//
+// Missing or malformed values are left out of the parsed state, so the
+// app falls back to its defaults for them.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+/** "HH:MM" or "HH:MM:SS" → seconds (null if malformed) */
+function parseClock(str) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(str || '')
+  if (!m || Number(m[2]) > 59 || Number(m[3] || 0) > 59) return null
+  return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] || 0)
+}
+
+/** seconds → "HH:MM" (hours not wrapped) */
+function fmtClock(sec) {
+  const s = Math.floor(sec)
+  return `${String(Math.floor(s / 3600)).padStart(2, '0')}:${String(Math.floor(s / 60) % 60).padStart(2, '0')}`
+}
+
+/**
+ * Query string → { t, playing, date, routeId, query, camera } with only
+ * the fields present and valid; `camera` is { center, zoom, bearing }.
+ */
+export function parseViewState(search) {
+  const p = new URLSearchParams(search)
+  const out = {}
+  const t = parseClock(p.get('t'))
+  if (t !== null) out.t = t
+  if (p.has('play')) out.playing = p.get('play') !== '0'
+  if (ISO_DATE.test(p.get('d') || '')) out.date = p.get('d')
+  if (p.get('r')) out.routeId = p.get('r')
+  if (p.has('q')) out.query = p.get('q')
+  const c = (p.get('c') || '').split(',').map(Number)
+  if (c.length >= 3 && c.every(Number.isFinite) && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90) {
+    out.camera = { center: [c[0], c[1]], zoom: c[2], bearing: c[3] || 0 }
+  }
+  return out
+}
+
+/** { t, playing, date, routeId, query, camera } → "?t=…" (empty fields left out) */
+export function viewStateSearch({ t, playing, date, routeId, query, camera }) {
+  const p = new URLSearchParams()
+  if (t != null) p.set('t', fmtClock(t))
+  if (playing === false) p.set('play', '0')
+  if (date) p.set('d', date)
+  if (routeId) p.set('r', routeId)
+  if (query) p.set('q', query)
+  if (camera) {
+    const { center: [lon, lat], zoom, bearing } = camera
+    p.set('c', [lon.toFixed(5), lat.toFixed(5), zoom.toFixed(2), Math.round(bearing)].join(','))
+  }
+  const s = p.toString().replaceAll('%3A', ':').replaceAll('%2C', ',')
+  return s ? `?${s}` : ''
+}
@@ -0,0 +1,51 @@
+// ── ZIP archive (stored) ────────────────────────────────────
+// Just enough of the ZIP format to hand over many files as one download:
+// entries are stored uncompressed (PNGs do not shrink anyway), with the
+// local headers, central directory and end record every unzip tool
+// expects. No ZIP64, so archives stay under 4 GB and 65535 entries.
+
+const CRC_TABLE = new Uint32Array(256)
+for (let n = 0; n < 256; n++) {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  CRC_TABLE[n] = c >>> 0
+}
+
+function crc32(data) {
+  let c = 0xFFFFFFFF
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+/** Little-endian header fields: [[bytes, value], …] → Uint8Array */
+function header(fields) {
+  const size = fields.reduce((s, [n]) => s + n, 0)
+  const view = new DataView(new ArrayBuffer(size))
+  let at = 0
+  for (const [n, v] of fields) {
+    if (n === 2) view.setUint16(at, v, true)
+    else view.setUint32(at, v, true)
+    at += n
+  }
+  return new Uint8Array(view.buffer)
+}
+
+/** [{ name, data: Uint8Array }] → Blob of a .zip holding them */
+export function zipFiles(files, type = 'application/zip') {
+  const enc = new TextEncoder()
+  const parts = [], central = []
+  let offset = 0
+  for (const { name, data } of files) {
+    const nameBytes = enc.encode(name)
+    const crc = crc32(data)
+    // version, flags (UTF-8 names), method 0 (stored), time, date, crc, sizes, name length, extra length
+    const common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]]
+    const local = header([[4, 0x04034b50], ...common])
+    parts.push(local, nameBytes, data)
+    central.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes)
+    offset += local.length + nameBytes.length + data.length
+  }
+  const dirSize = central.reduce((s, b) => s + b.length, 0)
+  const end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, dirSize], [4, offset], [2, 0]])
+  return new Blob([...parts, ...central, end], { type })
+}
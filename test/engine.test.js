@@ -0,0 +1,154 @@
+/**
+ * The headless engine (src/utils/engine.js) run against the tiny feed in
+ * test/fixtures/mini, preprocessed exactly as the real feeds are:
+ *
+ *   line 1  W → C → E eastbound at 08:00 and every 10 min 09:00–10:00,
+ *           E → C → W westbound at 08:30; weekdays only, not on the
+ *           2026-10-12 holiday (calendar_dates exception)
+ *   line N1 W → M → NO northbound every night at 23:50, arriving 24:20,
+ *           and at 01:30
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadNetwork } from '../scripts/lib/network.js';
+import { createEngine } from '../src/utils/engine.js';
+import { stopSchedule, nextTimes } from '../src/utils/board.js';
+import { serviceDays } from '../src/utils/calendar.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const TUESDAY = '2026-10-13';
+const HOLIDAY = '2026-10-12';
+const SATURDAY = '2026-10-17';
+const H = 3600;
+
+let dataDir, network;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mini-gtfs-'));
+  const run = spawnSync(process.execPath, [
+    path.join(ROOT, 'scripts', 'preprocess-gtfs.js'),
+    '--input', path.join(__dirname, 'fixtures', 'mini'),
+    '--agency', 'mini', '--out', dataDir, '--simplify', '0',
+  ], { encoding: 'utf-8' });
+  assert.equal(run.status, 0, run.stderr);
+  network = loadNetwork(dataDir);
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const engineOn = date => createEngine(network, { date });
+const byLine = (vehicles, line) => vehicles.filter(v => v.lineNumber === line);
+
+test('places a vehicle between its stops, heading along the shape', () => {
+  const [v, ...rest] = byLine(engineOn(TUESDAY).getVehicles(8 * H + 150), '1');
+  assert.equal(rest.length, 0);
+  assert.equal(v.id, 'mini:A/mini:A_E_0800');
+  assert.equal(v.headsign, 'Este');
+  assert.ok(v.moving);
+  assert.ok(v.lon > -3.7 && v.lon < -3.69, `lon ${v.lon} between W and C`);
+  assert.ok(Math.abs(v.lat - 40.4) < 1e-6);
+  assert.ok(Math.abs(v.bearing - 90) < 1, `bearing ${v.bearing}`);
+  assert.ok(v.progress > 0 && v.progress < 0.5);
+
+  const [back] = byLine(engineOn(TUESDAY).getVehicles(8.5 * H + 150), '1');
+  assert.equal(back.headsign, 'Oeste');
+  assert.ok(back.lon > -3.69 && back.lon < -3.68, `lon ${back.lon} between E and C`);
+  assert.ok(Math.abs(back.bearing - 270) < 1, `bearing ${back.bearing}`);
+});
+
+test('a vehicle dwelling at a stop sits on it', () => {
+  const [v] = byLine(engineOn(TUESDAY).getVehicles(8 * H + 305), '1');
+  assert.equal(v.moving, false);
+  assert.equal(v.stopId, 'mini:C');
+  assert.ok(Math.abs(v.lon + 3.69) < 1e-4, `lon ${v.lon} at C`);
+});
+
+test('expands frequency bands into departures every headway', () => {
+  const deps = byLine(engineOn(TUESDAY).getVehicles(9 * H + 15 * 60), '1').map(v => v.dep);
+  assert.deepEqual(deps, [9 * H + 600]); // 09:00 has arrived, 09:10 is on its way
+  assert.equal(byLine(engineOn(TUESDAY).getVehicles(9 * H + 5 * 60), '1').length, 1);
+  // The last departure is 09:50: nothing is left on the road after 10:00
+  assert.equal(byLine(engineOn(TUESDAY).getVehicles(10 * H + 1), '1').length, 0);
+});
+
+test('getStopEvents lists every stop call in the window, in time order', () => {
+  const events = engineOn(TUESDAY).getStopEvents(8 * H, 8 * H + 600);
+  assert.deepEqual(events.map(e => [e.time, e.stopId]), [
+    [8 * H, 'mini:W'],
+    [8 * H + 300, 'mini:C'],
+  ]);
+  assert.ok(events.every(e => e.vehicleId === 'mini:A/mini:A_E_0800' && e.routeId === 'mini:A'));
+
+  const all = engineOn(TUESDAY).getStopEvents(8 * H, 9 * H);
+  assert.deepEqual(all.map(e => e.stopId), ['mini:W', 'mini:C', 'mini:E', 'mini:E', 'mini:C', 'mini:W']);
+  assert.ok(all.every((e, i) => i === 0 || e.time >= all[i - 1].time));
+});
+
+test('setDate follows calendar.txt and calendar_dates.txt', () => {
+  const engine = engineOn(TUESDAY);
+  const at8 = () => byLine(engine.getVehicles(8 * H + 150), '1').length;
+  assert.equal(at8(), 1);
+  engine.setDate(HOLIDAY); // a Monday, removed by calendar_dates
+  assert.equal(at8(), 0);
+  engine.setDate(SATURDAY);
+  assert.equal(at8(), 0);
+  engine.setDate(null); // no date: every service runs
+  assert.equal(at8(), 1);
+});
+
+test('trips past 24:00 run on after midnight, on both days\' clocks', () => {
+  // 24:05 of Tuesday's service day …
+  const late = byLine(engineOn(TUESDAY).getVehicles(24 * H + 305), 'N1');
+  assert.equal(late.length, 1);
+  assert.equal(late[0].stopId, 'mini:M');
+  assert.ok(Math.abs(late[0].bearing) < 1, `bearing ${late[0].bearing}`);
+
+  // … is 00:05 of Wednesday's, where Tuesday's trip is still on the road
+  const next = byLine(engineOn('2026-10-14').getVehicles(305), 'N1');
+  assert.equal(next.length, 1);
+  assert.equal(next[0].id, late[0].id);
+  assert.equal(next[0].dep, late[0].dep - 24 * H);
+  assert.deepEqual([next[0].lon, next[0].lat], [late[0].lon, late[0].lat]);
+
+  // Its last stop is an event after midnight too
+  const events = engineOn('2026-10-14').getStopEvents(0, H);
+  assert.deepEqual(events.map(e => [e.time, e.stopId]), [[300, 'mini:M'], [1200, 'mini:NO']]);
+});
+
+test('the stop board lists the next day\'s early trips after midnight', () => {
+  const [n1] = stopSchedule(network.routes, 'mini:M', {
+    days: serviceDays(network.calendar, TUESDAY), schedule: network.schedule,
+  });
+  assert.equal(n1.lineNumber, 'N1');
+  assert.deepEqual(n1.times, [H + 45 * 60, 24 * H + 5 * 60]); // Tuesday's own calls
+  // Monday's 23:50 at 00:05, Tuesday's own, and Wednesday's 01:30 at 25:45
+  assert.deepEqual(n1.calls, [5 * 60, H + 45 * 60, 24 * H + 5 * 60, 25 * H + 45 * 60]);
+  assert.deepEqual(nextTimes(n1.calls, 24 * H + 10 * 60, 3), [25 * H + 45 * 60]);
+});
+
+test('getTripStops paces stops without times by distance, in any unit', () => {
+  // Stop distances in km on a 1.7 km shape, every arrival at 00:00
+  const engine = createEngine({
+    routes: [{
+      id: 'km', shortName: 'K', feed: 'km', tripDuration: 600,
+      frequencies: [{ startSec: 0, endSec: H, headway: 600 }],
+      shapes: [{
+        shapeId: 'km', direction: 0,
+        coordinates: [[-3.7, 40.4], [-3.68, 40.4]],
+        stops: [{ id: 'a', dist: 0, arr: 0 }, { id: 'b', dist: 0.85, arr: 0 }, { id: 'c', dist: 1.7, arr: 0 }],
+      }],
+    }],
+  });
+  const [v] = engine.getVehicles(100);
+  assert.deepEqual(engine.getTripStops(v).map(s => [s.stopId, s.time]), [['a', 0], ['b', 300], ['c', 600]]);
+});